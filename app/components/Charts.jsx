@@ -0,0 +1,256 @@
+import { BlockStack, InlineStack, Text } from "@shopify/polaris";
+
+// Plain SVG charts: they render on the server with the rest of the page and
+// don't need a charting library or any external service.
+
+const SERIES_COLORS = [
+  "#2c6ecb",
+  "#47b881",
+  "#f49342",
+  "#9c6ade",
+  "#de3618",
+  "#50b83c",
+  "#8c9196",
+];
+
+const CHART_WIDTH = 640;
+const AXIS_WIDTH = 40;
+const LABEL_HEIGHT = 20;
+
+/**
+ * Line chart of one value per period, e.g. total views per bucket
+ * @param {Object} props
+ * @param {Array} props.points - `{ label, value }` objects, oldest first
+ * @param {number} [props.height] - Height of the plot area in pixels
+ */
+export function TimeSeriesChart({ points, height = 180 }) {
+  if (points.length === 0) return null;
+
+  const max = niceMax(Math.max(...points.map((point) => point.value)));
+  const plotWidth = CHART_WIDTH - AXIS_WIDTH;
+  const step = points.length > 1 ? plotWidth / (points.length - 1) : 0;
+  const x = (index) =>
+    AXIS_WIDTH + (points.length > 1 ? index * step : plotWidth / 2);
+  const y = (value) => height - (value / max) * height;
+
+  const line = points
+    .map((point, index) => `${x(index)},${y(point.value)}`)
+    .join(" ");
+  const area = `${x(0)},${height} ${line} ${x(points.length - 1)},${height}`;
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${height + LABEL_HEIGHT}`}
+      width="100%"
+      role="img"
+      aria-label="Total views over time"
+    >
+      <YAxis max={max} height={height} />
+      <polygon points={area} fill={SERIES_COLORS[0]} fillOpacity="0.12" />
+      <polyline
+        points={line}
+        fill="none"
+        stroke={SERIES_COLORS[0]}
+        strokeWidth="2"
+      />
+      {points.map((point, index) => (
+        <circle
+          key={point.label}
+          cx={x(index)}
+          cy={y(point.value)}
+          r="3"
+          fill={SERIES_COLORS[0]}
+        >
+          <title>{`${point.label}: ${point.value} views`}</title>
+        </circle>
+      ))}
+      <XAxisLabels
+        labels={points.map((point) => point.label)}
+        x={x}
+        y={height}
+      />
+    </svg>
+  );
+}
+
+/**
+ * Stacked bar chart of several series per period, e.g. the top products
+ * @param {Object} props
+ * @param {Array<string>} props.labels - Period labels, oldest first
+ * @param {Array} props.series - `{ id, name, values }` objects, values
+ *   aligned with labels
+ * @param {number} [props.height] - Height of the plot area in pixels
+ */
+export function StackedBarChart({ labels, series, height = 180 }) {
+  if (labels.length === 0 || series.length === 0) return null;
+
+  const totals = labels.map((_, index) =>
+    series.reduce((sum, item) => sum + item.values[index], 0)
+  );
+  const max = niceMax(Math.max(...totals));
+  const slot = (CHART_WIDTH - AXIS_WIDTH) / labels.length;
+  const barWidth = Math.max(slot * 0.7, 1);
+  const x = (index) => AXIS_WIDTH + slot * index + slot / 2;
+
+  return (
+    <BlockStack gap="200">
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${height + LABEL_HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label="Views of the top products over time"
+      >
+        <YAxis max={max} height={height} />
+        {labels.map((label, index) => {
+          let top = height;
+          return (
+            <g key={label}>
+              {series.map((item, seriesIndex) => {
+                const value = item.values[index];
+                const barHeight = (value / max) * height;
+                top -= barHeight;
+                return value > 0 ? (
+                  <rect
+                    key={item.id}
+                    x={x(index) - barWidth / 2}
+                    y={top}
+                    width={barWidth}
+                    height={barHeight}
+                    fill={SERIES_COLORS[seriesIndex % SERIES_COLORS.length]}
+                  >
+                    <title>{`${label}, ${item.name}: ${value} views`}</title>
+                  </rect>
+                ) : null;
+              })}
+            </g>
+          );
+        })}
+        <XAxisLabels labels={labels} x={x} y={height} />
+      </svg>
+      <InlineStack gap="400">
+        {series.map((item, seriesIndex) => (
+          <InlineStack key={item.id} gap="100" blockAlign="center">
+            <svg width="10" height="10" aria-hidden="true">
+              <rect
+                width="10"
+                height="10"
+                fill={SERIES_COLORS[seriesIndex % SERIES_COLORS.length]}
+              />
+            </svg>
+            <Text as="span" variant="bodySm">
+              {item.name}
+            </Text>
+          </InlineStack>
+        ))}
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+/**
+ * Small inline trend line for table cells
+ * @param {Object} props
+ * @param {Array<number>} props.values - Values per period, oldest first
+ * @param {number} [props.width] - Width in pixels
+ * @param {number} [props.height] - Height in pixels
+ */
+export function Sparkline({ values, width = 100, height = 24 }) {
+  if (values.length === 0) return null;
+
+  const max = Math.max(...values, 1);
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const points = values
+    .map(
+      (value, index) =>
+        `${values.length > 1 ? index * step : width / 2},${
+          height - 1 - (value / max) * (height - 2)
+        }`
+    )
+    .join(" ");
+
+  return (
+    <svg
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={`Views per period: ${values.join(", ")}`}
+    >
+      <polyline
+        points={points}
+        fill="none"
+        stroke={SERIES_COLORS[0]}
+        strokeWidth="1.5"
+      />
+    </svg>
+  );
+}
+
+/**
+ * Gridlines and value labels for the vertical axis
+ */
+function YAxis({ max, height }) {
+  return [0, max / 2, max].map((value) => (
+    <g key={value}>
+      <line
+        x1={AXIS_WIDTH}
+        x2={CHART_WIDTH}
+        y1={height - (value / max) * height}
+        y2={height - (value / max) * height}
+        stroke="#e1e3e5"
+      />
+      <text
+        x={AXIS_WIDTH - 6}
+        y={height - (value / max) * height + 4}
+        textAnchor="end"
+        fontSize="11"
+        fill="#6d7175"
+      >
+        {Math.round(value)}
+      </text>
+    </g>
+  ));
+}
+
+/**
+ * First, middle and last period labels along the bottom
+ */
+function XAxisLabels({ labels, x, y }) {
+  const shown = [
+    ...new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1]),
+  ];
+
+  return shown.map((index) => (
+    <text
+      key={index}
+      x={x(index)}
+      y={y + 15}
+      textAnchor={
+        index === 0 && labels.length > 1
+          ? "start"
+          : index === labels.length - 1 && labels.length > 1
+            ? "end"
+            : "middle"
+      }
+      fontSize="11"
+      fill="#6d7175"
+    >
+      {labels[index]}
+    </text>
+  ));
+}
+
+/**
+ * Round an axis maximum up to a readable value (1, 2 or 5 times a power of
+ * ten) so the gridline labels are whole numbers
+ * @param {number} value - Largest value plotted
+ * @returns {number} Axis maximum, at least 2
+ */
+function niceMax(value) {
+  if (value <= 2) return 2;
+
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const normalized = value / magnitude;
+  const nice = normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+  return nice * magnitude;
+}
@@ -0,0 +1,84 @@
+import { useEffect, useState } from "react";
+import { useSearchParams } from "@remix-run/react";
+import { Button, InlineStack, Select, TextField } from "@shopify/polaris";
+import { GRANULARITIES, RANGE_PRESETS } from "../utils/date-range";
+
+/**
+ * Date range preset, custom dates and granularity pickers. The selection
+ * lives in the URL search params so the loader can read it with
+ * parseDateRange and the page stays shareable.
+ */
+export function DateRangeControls({ range, showGranularity = true }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [start, setStart] = useState(range.start);
+  const [end, setEnd] = useState(range.end);
+
+  // Keep the custom fields in sync after navigating between ranges
+  useEffect(() => {
+    setStart(range.start);
+    setEnd(range.end);
+  }, [range.start, range.end]);
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next);
+  };
+
+  const handlePresetChange = (preset) => {
+    if (preset === "custom") {
+      updateParams({ preset, start, end });
+    } else {
+      updateParams({ preset, start: null, end: null });
+    }
+  };
+
+  return (
+    <InlineStack gap="300" blockAlign="end">
+      <Select
+        label="Date range"
+        options={RANGE_PRESETS.map(({ value, label }) => ({ value, label }))}
+        value={range.preset}
+        onChange={handlePresetChange}
+      />
+      {range.preset === "custom" && (
+        <>
+          <TextField
+            label="Start date"
+            type="date"
+            value={start}
+            onChange={setStart}
+            autoComplete="off"
+          />
+          <TextField
+            label="End date"
+            type="date"
+            value={end}
+            onChange={setEnd}
+            autoComplete="off"
+          />
+          <Button
+            onClick={() => updateParams({ preset: "custom", start, end })}
+            disabled={!start || !end || start > end}
+          >
+            Apply
+          </Button>
+        </>
+      )}
+      {showGranularity && (
+        <Select
+          label="Group by"
+          options={GRANULARITIES}
+          value={range.granularity}
+          onChange={(granularity) => updateParams({ granularity })}
+        />
+      )}
+    </InlineStack>
+  );
+}
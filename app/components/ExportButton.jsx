@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { useSearchParams } from "@remix-run/react";
+import {
+  BlockStack,
+  Button,
+  Checkbox,
+  ChoiceList,
+  Popover,
+  Select,
+} from "@shopify/polaris";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import {
+  EXPORT_DATASETS,
+  EXPORT_FORMATS,
+  buildExportUrl,
+} from "../utils/export-options";
+import { startDownload } from "../utils/download";
+
+/**
+ * Export button with format and column pickers. The download uses the
+ * page's current search params, so the file covers the same date range and
+ * filters as the page.
+ */
+export function ExportButton({ dataset }) {
+  const shopify = useAppBridge();
+  const [searchParams] = useSearchParams();
+  const [active, setActive] = useState(false);
+  const [format, setFormat] = useState("csv");
+  const [columns, setColumns] = useState(
+    EXPORT_DATASETS[dataset].defaultColumns
+  );
+  const [bom, setBom] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      // Keep the dataset's column order rather than the order of clicks
+      const orderedColumns = EXPORT_DATASETS[dataset].columns
+        .map((column) => column.key)
+        .filter((key) => columns.includes(key));
+      const response = await fetch(
+        buildExportUrl(searchParams, {
+          dataset,
+          format,
+          columns: orderedColumns,
+          bom,
+        })
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `Export returned ${response.status}`);
+      }
+
+      // Fetched only for a signed link; the browser downloads the file
+      // itself so it isn't held in memory
+      startDownload(data.url);
+      setActive(false);
+    } catch (error) {
+      console.error("Export failed:", error);
+      shopify.toast.show(`Export failed: ${error.message}`, { isError: true });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Popover
+      active={active}
+      activator={
+        <Button onClick={() => setActive(!active)} variant="primary" disclosure>
+          Export
+        </Button>
+      }
+      onClose={() => setActive(false)}
+      preferredAlignment="right"
+    >
+      <Popover.Section>
+        <BlockStack gap="300">
+          <Select
+            label="Format"
+            options={EXPORT_FORMATS.map(({ value, label }) => ({
+              value,
+              label,
+            }))}
+            value={format}
+            onChange={setFormat}
+          />
+          {format === "csv" && (
+            <Checkbox
+              label="Include byte order mark (for Excel)"
+              checked={bom}
+              onChange={setBom}
+            />
+          )}
+          <ChoiceList
+            title="Columns"
+            allowMultiple
+            choices={EXPORT_DATASETS[dataset].columns.map(({ key, label }) => ({
+              value: key,
+              label,
+            }))}
+            selected={columns}
+            onChange={setColumns}
+          />
+          <Button
+            onClick={handleExport}
+            loading={exporting}
+            disabled={columns.length === 0}
+          >
+            Download
+          </Button>
+        </BlockStack>
+      </Popover.Section>
+    </Popover>
+  );
+}
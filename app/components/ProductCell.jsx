@@ -0,0 +1,76 @@
+import {
+  Badge,
+  BlockStack,
+  InlineStack,
+  Link,
+  Text,
+  Thumbnail,
+} from "@shopify/polaris";
+import { ImageIcon } from "@shopify/polaris-icons";
+
+const STATUS_BADGES = {
+  ACTIVE: { tone: "success", label: "Active" },
+  DRAFT: { tone: "info", label: "Draft" },
+  ARCHIVED: { tone: undefined, label: "Archived" },
+};
+
+/**
+ * Product column for analytics tables: thumbnail, title linking to the
+ * product's analytics detail page, a status badge and a link to the product
+ * in Shopify admin. Falls back to the bare ID when the product details could
+ * not be resolved.
+ */
+export function ProductCell({ productId, product }) {
+  const detailUrl = `/app/product-views/${productId}`;
+
+  if (!product) {
+    return (
+      <Link url={detailUrl} removeUnderline>
+        {productId}
+      </Link>
+    );
+  }
+
+  if (product.deleted) {
+    return (
+      <InlineStack gap="300" blockAlign="center" wrap={false}>
+        <Thumbnail source={ImageIcon} alt="" size="small" />
+        <BlockStack gap="100">
+          <Link url={detailUrl} removeUnderline monochrome>
+            {product.title || `Product ${productId}`}
+          </Link>
+          <Badge tone="critical">Deleted</Badge>
+        </BlockStack>
+      </InlineStack>
+    );
+  }
+
+  const status = STATUS_BADGES[product.status];
+
+  return (
+    <InlineStack gap="300" blockAlign="center" wrap={false}>
+      <Thumbnail
+        source={product.imageUrl || ImageIcon}
+        alt={product.imageAlt || product.title}
+        size="small"
+      />
+      <BlockStack gap="100">
+        <Link url={detailUrl} removeUnderline>
+          {product.title}
+        </Link>
+        <InlineStack gap="200" blockAlign="center">
+          {status && <Badge tone={status.tone}>{status.label}</Badge>}
+          <Text as="span" variant="bodySm">
+            <Link
+              url={`shopify://admin/products/${productId}`}
+              target="_top"
+              monochrome
+            >
+              Open in admin
+            </Link>
+          </Text>
+        </InlineStack>
+      </BlockStack>
+    </InlineStack>
+  );
+}
@@ -4,9 +4,12 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startScheduledJobs } from "./services/jobs.server";
 
 export const streamTimeout = 5000;
 
+startScheduledJobs();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
@@ -0,0 +1,71 @@
+import {
+  API_TOKEN_SCOPES,
+  authenticateApiToken,
+} from "../services/api-tokens.server";
+import { recordProductViews } from "../services/analytics.server";
+import { classifyTraffic } from "../services/traffic-filter.server";
+
+const MAX_BATCH_SIZE = 500;
+
+// Called directly by server-side importers, not through the app proxy. They
+// authenticate with one of the shop's API tokens with the ingest scope, so
+// the app secret never leaves the app and a leaked token can be revoked by
+// the merchant. Read tokens handed to BI tools can't write views.
+export const action = async ({ request }) => {
+  if (request.method !== "POST") {
+    return Response.json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const { shop } = await authenticateApiToken(request, API_TOKEN_SCOPES.INGEST);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return Response.json({ error: "Body must be valid JSON" }, { status: 400 });
+  }
+
+  const events = body?.events;
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return Response.json(
+      { error: "events must be a non-empty array" },
+      { status: 400 }
+    );
+  }
+
+  if (events.length > MAX_BATCH_SIZE) {
+    return Response.json(
+      { error: `A batch can contain at most ${MAX_BATCH_SIZE} events` },
+      { status: 413 }
+    );
+  }
+
+  try {
+    // Importers should pass the original userAgent and ip of each view,
+    // otherwise their own request headers are classified
+    const results = await recordProductViews(shop, events, {
+      classify: (item) => classifyTraffic(request, item),
+    });
+    const countStatus = (status) =>
+      results.filter((result) => result.status === status).length;
+
+    // Accepted and filtered events are only queued here; they are written
+    // with the next buffer flush, so like the single-view route this answers
+    // 202 rather than claiming they are stored
+    return Response.json(
+      {
+        success: true,
+        accepted: countStatus("accepted"),
+        filtered: countStatus("filtered"),
+        duplicates: countStatus("duplicate"),
+        invalid: countStatus("invalid"),
+        results,
+      },
+      { status: 202 }
+    );
+  } catch (error) {
+    console.error("Error recording product view batch:", error);
+    return Response.json({ error: "Internal server error" }, { status: 500 });
+  }
+};
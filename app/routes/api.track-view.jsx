@@ -1,52 +1,55 @@
-import db from "../db.server";
+import { authenticate } from "../shopify.server";
+import { validateViewEvent } from "../services/analytics.server";
+import { enqueueViewEvents } from "../services/view-buffer.server";
+import { classifyTraffic } from "../services/traffic-filter.server";
 
+// Storefront requests reach this route through the app proxy configured in
+// shopify.app.toml (/apps/analytics/track-view), which signs the shop for us.
 export const action = async ({ request }) => {
   if (request.method !== "POST") {
     return Response.json({ error: "Method not allowed" }, { status: 405 });
   }
 
+  // Throws a 400 response unless the query carries a valid, recent signature
+  await authenticate.public.appProxy(request);
+  const { searchParams } = new URL(request.url);
+  const shop = searchParams.get("shop");
+  const customerId = searchParams.get("logged_in_customer_id") || null;
+
   try {
     const body = await request.json();
-    const { productId } = body;
+    const { productId, variantId, visitorId, userAgent } = body;
 
-    if (!productId) {
-      return Response.json({ error: "productId is required" }, { status: 400 });
+    // The pixel also reports its shop; it must agree with the signed one
+    if (body.shop && body.shop !== shop) {
+      return Response.json(
+        { error: "shop does not match the signed request" },
+        { status: 400 }
+      );
     }
 
-    // Check if product analytics already exists
-    const existingAnalytics = await db.productAnalytics.findUnique({
-      where: { productId: String(productId) },
+    const { event, error } = validateViewEvent({
+      productId,
+      variantId,
+      visitorId,
+      // Signed by Shopify, unlike anything in the body
+      customerId,
     });
 
-    if (existingAnalytics) {
-      // Increment the count and update last viewed time
-      const updated = await db.productAnalytics.update({
-        where: { productId: String(productId) },
-        data: {
-          viewCount: existingAnalytics.viewCount + 1,
-          lastViewedAt: new Date(),
-        },
-      });
-      return Response.json({
-        success: true,
-        viewCount: updated.viewCount,
-        lastViewedAt: updated.lastViewedAt,
-      });
-    } else {
-      // Create new record with viewCount 1
-      const created = await db.productAnalytics.create({
-        data: {
-          productId: String(productId),
-          viewCount: 1,
-          lastViewedAt: new Date(),
-        },
-      });
-      return Response.json({
-        success: true,
-        viewCount: created.viewCount,
-        lastViewedAt: created.lastViewedAt,
-      });
+    if (error) {
+      return Response.json({ error }, { status: 400 });
     }
+
+    // Bots are kept out of the view counts and reported as filtered traffic
+    const filterReason = classifyTraffic(request, { userAgent });
+
+    // Counted on the next buffer flush, which keeps this path write-free
+    enqueueViewEvents(shop, [{ ...event, filterReason }]);
+
+    return Response.json(
+      { success: true, filtered: Boolean(filterReason) },
+      { status: 202 }
+    );
   } catch (error) {
     console.error("Error tracking product view:", error);
     return Response.json({ error: "Internal server error" }, { status: 500 });
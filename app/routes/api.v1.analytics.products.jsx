@@ -0,0 +1,34 @@
+import {
+  API_TOKEN_SCOPES,
+  authenticateApiToken,
+} from "../services/api-tokens.server";
+import {
+  API_VERSION,
+  getProductsPage,
+  parseApiQuery,
+} from "../services/analytics-api.server";
+
+// Read API for BI tools, authenticated with a token the merchant creates on
+// the API Tokens page. See parseApiQuery for the supported parameters.
+export const loader = async ({ request }) => {
+  const { shop } = await authenticateApiToken(request, API_TOKEN_SCOPES.READ);
+
+  const { query, error } = parseApiQuery(
+    new URL(request.url).searchParams,
+    "products"
+  );
+  if (error) {
+    return Response.json({ error }, { status: 400 });
+  }
+
+  try {
+    const page = await getProductsPage(shop, query);
+    if (page.error) {
+      return Response.json({ error: page.error }, { status: 400 });
+    }
+    return Response.json({ apiVersion: API_VERSION, ...page });
+  } catch (error) {
+    console.error("Error serving analytics API request:", error);
+    return Response.json({ error: "Internal server error" }, { status: 500 });
+  }
+};
@@ -0,0 +1,32 @@
+import {
+  API_TOKEN_SCOPES,
+  authenticateApiToken,
+} from "../services/api-tokens.server";
+import {
+  API_VERSION,
+  getSummary,
+  parseApiQuery,
+} from "../services/analytics-api.server";
+
+// The dashboard's summary figures for a date range
+export const loader = async ({ request }) => {
+  const { shop } = await authenticateApiToken(request, API_TOKEN_SCOPES.READ);
+
+  const { query, error } = parseApiQuery(
+    new URL(request.url).searchParams,
+    "summary"
+  );
+  if (error) {
+    return Response.json({ error }, { status: 400 });
+  }
+
+  try {
+    return Response.json({
+      apiVersion: API_VERSION,
+      ...(await getSummary(shop, query)),
+    });
+  } catch (error) {
+    console.error("Error serving analytics API request:", error);
+    return Response.json({ error: "Internal server error" }, { status: 500 });
+  }
+};
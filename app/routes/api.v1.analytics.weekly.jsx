@@ -0,0 +1,32 @@
+import {
+  API_TOKEN_SCOPES,
+  authenticateApiToken,
+} from "../services/api-tokens.server";
+import {
+  API_VERSION,
+  getWeeklyPage,
+  parseApiQuery,
+} from "../services/analytics-api.server";
+
+// Views and orders per week, newest first, paged with `after`
+export const loader = async ({ request }) => {
+  const { shop } = await authenticateApiToken(request, API_TOKEN_SCOPES.READ);
+
+  const { query, error } = parseApiQuery(
+    new URL(request.url).searchParams,
+    "weekly"
+  );
+  if (error) {
+    return Response.json({ error }, { status: 400 });
+  }
+
+  try {
+    return Response.json({
+      apiVersion: API_VERSION,
+      ...(await getWeeklyPage(shop, query)),
+    });
+  } catch (error) {
+    console.error("Error serving analytics API request:", error);
+    return Response.json({ error: "Internal server error" }, { status: 500 });
+  }
+};
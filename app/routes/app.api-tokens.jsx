@@ -0,0 +1,304 @@
+import { useEffect, useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Select,
+  Button,
+  Banner,
+  DataTable,
+  Badge,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  API_TOKEN_SCOPES,
+  DEFAULT_RATE_LIMIT,
+  MAX_RATE_LIMIT,
+  createApiToken,
+  getApiTokens,
+  revokeApiToken,
+} from "../services/api-tokens.server";
+import { API_VERSION } from "../services/analytics-api.server";
+
+const SCOPE_OPTIONS = [
+  { value: "read", label: "Read analytics" },
+  { value: "ingest", label: "Import views" },
+];
+
+const SCOPE_LABELS = {
+  read: "Read",
+  ingest: "Import",
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const tokens = await getApiTokens(session.shop);
+
+  return {
+    tokens,
+    apiUrl: `${process.env.SHOPIFY_APP_URL || ""}/api/${API_VERSION}/analytics`,
+    importUrl: `${process.env.SHOPIFY_APP_URL || ""}/api/track-view/batch`,
+    defaultRateLimit: DEFAULT_RATE_LIMIT,
+    maxRateLimit: MAX_RATE_LIMIT,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "create") {
+    const name = (formData.get("name") || "").trim();
+    const scope = formData.get("scope");
+    const rateLimitPerMinute = Number(formData.get("rateLimit"));
+
+    if (!name || name.length > 100) {
+      return Response.json(
+        { error: "Give the token a name of up to 100 characters" },
+        { status: 400 }
+      );
+    }
+    if (!Object.values(API_TOKEN_SCOPES).includes(scope)) {
+      return Response.json({ error: "Choose a token scope" }, { status: 400 });
+    }
+    if (
+      !Number.isInteger(rateLimitPerMinute) ||
+      rateLimitPerMinute < 1 ||
+      rateLimitPerMinute > MAX_RATE_LIMIT
+    ) {
+      return Response.json(
+        {
+          error: `Rate limit must be between 1 and ${MAX_RATE_LIMIT} requests per minute`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const { token } = await createApiToken(session.shop, {
+      name,
+      scope,
+      rateLimitPerMinute,
+    });
+    return { message: `Token "${name}" created`, token };
+  }
+
+  if (intent === "revoke") {
+    const tokenId = Number(formData.get("tokenId"));
+    if (!Number.isSafeInteger(tokenId) || tokenId < 1) {
+      return Response.json({ error: "Invalid token" }, { status: 400 });
+    }
+
+    const revoked = await revokeApiToken(session.shop, tokenId);
+    return revoked
+      ? { message: "Token revoked" }
+      : Response.json({ error: "Token not found" }, { status: 404 });
+  }
+
+  return Response.json({ error: "Unknown action" }, { status: 400 });
+};
+
+export default function ApiTokens() {
+  const { tokens, apiUrl, importUrl, defaultRateLimit, maxRateLimit } =
+    useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+
+  const [name, setName] = useState("");
+  const [scope, setScope] = useState("read");
+  const [rateLimit, setRateLimit] = useState(String(defaultRateLimit));
+
+  // Clear the form once a token has been created
+  useEffect(() => {
+    if (actionData?.token) {
+      setName("");
+    }
+  }, [actionData]);
+
+  const pendingIntent =
+    navigation.state === "submitting" && navigation.formData?.get("intent");
+  const pendingTokenId =
+    pendingIntent === "revoke" && navigation.formData.get("tokenId");
+
+  const handleCreate = () =>
+    submit({ intent: "create", name, scope, rateLimit }, { method: "post" });
+  const handleRevoke = (tokenId) =>
+    submit({ intent: "revoke", tokenId }, { method: "post" });
+
+  return (
+    <Page>
+      <TitleBar title="API Tokens" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {actionData?.error && (
+              <Banner tone="critical">{actionData.error}</Banner>
+            )}
+            {actionData?.token ? (
+              <Banner tone="success" title={actionData.message}>
+                <BlockStack gap="200">
+                  <Text as="p" variant="bodyMd">
+                    Copy the token now. It won&apos;t be shown again.
+                  </Text>
+                  <TextField
+                    label="Token"
+                    labelHidden
+                    value={actionData.token}
+                    readOnly
+                    monospaced
+                    autoComplete="off"
+                    selectTextOnFocus
+                  />
+                </BlockStack>
+              </Banner>
+            ) : (
+              actionData?.message && (
+                <Banner tone="success">{actionData.message}</Banner>
+              )
+            )}
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Create a Token
+                </Text>
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  Tokens let BI tools and scripts read this store&apos;s
+                  analytics or import views recorded elsewhere. Each token does
+                  one of the two, so a token handed to a BI tool can&apos;t
+                  write views. Send the token as a bearer token:
+                </Text>
+                <Text as="p" variant="bodyMd">
+                  <code>{`curl -H "Authorization: Bearer <token>" "${apiUrl}/products?start=2026-01-01&end=2026-01-31"`}</code>
+                </Text>
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  Endpoints are <code>/products</code>, <code>/weekly</code> and{" "}
+                  <code>/summary</code>. Dates are filtered with{" "}
+                  <code>start</code> and <code>end</code> (YYYY-MM-DD, UTC);
+                  pages are read with <code>limit</code> and the{" "}
+                  <code>nextCursor</code> of the previous page passed as{" "}
+                  <code>after</code>. Products are listed in the order they were
+                  first seen, so pages stay stable as views come in.
+                </Text>
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  Views are imported by POSTing{" "}
+                  <code>{`{"events": [...]}`}</code> to <code>{importUrl}</code>{" "}
+                  with the same header, using a token that imports views.
+                </Text>
+                <InlineStack gap="300">
+                  <TextField
+                    label="Name"
+                    placeholder="e.g. Looker"
+                    value={name}
+                    onChange={setName}
+                    maxLength={100}
+                    autoComplete="off"
+                  />
+                  <Select
+                    label="Scope"
+                    options={SCOPE_OPTIONS}
+                    value={scope}
+                    onChange={setScope}
+                  />
+                  <TextField
+                    label="Rate limit"
+                    type="number"
+                    min={1}
+                    max={maxRateLimit}
+                    suffix="requests / minute"
+                    value={rateLimit}
+                    onChange={setRateLimit}
+                    autoComplete="off"
+                  />
+                </InlineStack>
+                <InlineStack>
+                  <Button
+                    variant="primary"
+                    onClick={handleCreate}
+                    loading={pendingIntent === "create"}
+                  >
+                    Create token
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Tokens
+                </Text>
+                {tokens.length === 0 ? (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    No tokens have been created.
+                  </Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={[
+                      "text",
+                      "text",
+                      "text",
+                      "numeric",
+                      "text",
+                      "text",
+                      "text",
+                    ]}
+                    headings={[
+                      "Name",
+                      "Token",
+                      "Scope",
+                      "Limit / min",
+                      "Created",
+                      "Last Used",
+                      "Status",
+                    ]}
+                    rows={tokens.map((token) => [
+                      token.name,
+                      `${token.tokenPrefix}…`,
+                      SCOPE_LABELS[token.scope],
+                      token.rateLimitPerMinute.toString(),
+                      new Date(token.createdAt).toLocaleString(),
+                      token.lastUsedAt
+                        ? new Date(token.lastUsedAt).toLocaleString()
+                        : "Never",
+                      token.revokedAt ? (
+                        <Badge key={token.id}>
+                          {`Revoked ${new Date(
+                            token.revokedAt
+                          ).toLocaleDateString()}`}
+                        </Badge>
+                      ) : (
+                        <Button
+                          key={token.id}
+                          size="slim"
+                          tone="critical"
+                          onClick={() => handleRevoke(token.id)}
+                          loading={pendingTokenId === String(token.id)}
+                        >
+                          Revoke
+                        </Button>
+                      ),
+                    ])}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
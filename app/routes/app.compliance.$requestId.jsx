@@ -0,0 +1,24 @@
+import { authenticate } from "../shopify.server";
+import { getComplianceExport } from "../services/compliance.server";
+
+// Resource route behind the Download buttons on the compliance log. Serves
+// the customer data collected for a customers/data_request webhook.
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const requestId = Number(params.requestId);
+  const data = Number.isSafeInteger(requestId)
+    ? await getComplianceExport(session.shop, requestId)
+    : null;
+
+  if (!data) {
+    return Response.json({ error: "Export not found" }, { status: 404 });
+  }
+
+  return new Response(data, {
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Disposition": `attachment; filename="customer-data-request-${requestId}.json"`,
+    },
+  });
+};
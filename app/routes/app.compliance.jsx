@@ -0,0 +1,173 @@
+import { useState } from "react";
+import { useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  DataTable,
+  Badge,
+  Button,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  COMPLIANCE_TOPICS,
+  getComplianceRequests,
+} from "../services/compliance.server";
+import { saveResponse } from "../utils/download";
+
+const TOPIC_LABELS = {
+  CUSTOMERS_DATA_REQUEST: "Customer data request",
+  CUSTOMERS_REDACT: "Customer redaction",
+  SHOP_REDACT: "Shop redaction",
+};
+
+const STATUS_BADGES = {
+  received: { tone: "attention", label: "In progress" },
+  fulfilled: { tone: "success", label: "Fulfilled" },
+  failed: { tone: "critical", label: "Failed" },
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const requests = await getComplianceRequests(session.shop);
+
+  // Send a summary of each result; exports are downloaded on demand
+  return {
+    requests: requests.map(({ result, ...complianceRequest }) => ({
+      ...complianceRequest,
+      summary: summarizeResult(complianceRequest.topic, result),
+      hasExport:
+        complianceRequest.topic === COMPLIANCE_TOPICS.CUSTOMERS_DATA_REQUEST &&
+        Boolean(result),
+    })),
+  };
+};
+
+/**
+ * Describe what a fulfilled request found or removed
+ * @param {string} topic - Compliance topic
+ * @param {string|null} result - Stored result JSON
+ * @returns {string} Short description
+ */
+function summarizeResult(topic, result) {
+  if (!result) {
+    return topic === COMPLIANCE_TOPICS.CUSTOMERS_DATA_REQUEST
+      ? "Export removed"
+      : "";
+  }
+
+  const data = JSON.parse(result);
+  if (topic === COMPLIANCE_TOPICS.CUSTOMERS_DATA_REQUEST) {
+    return `${data.views.length} views, ${data.orders.length} order lines`;
+  }
+  if (topic === COMPLIANCE_TOPICS.CUSTOMERS_REDACT) {
+    return `${data.views} views and ${data.orders} order lines anonymized`;
+  }
+  const { complianceExports = 0, ...models } = data;
+  const deleted = Object.values(models).reduce((sum, count) => sum + count, 0);
+  return complianceExports > 0
+    ? `${deleted} records deleted, ${complianceExports} exports cleared`
+    : `${deleted} records deleted`;
+}
+
+export default function ComplianceLog() {
+  const { requests } = useLoaderData();
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const handleDownload = async (requestId) => {
+    setDownloadingId(requestId);
+    try {
+      const response = await fetch(`/app/compliance/${requestId}`);
+      if (!response.ok) {
+        throw new Error(`Download returned ${response.status}`);
+      }
+      await saveResponse(response, `customer-data-request-${requestId}.json`);
+    } catch (error) {
+      console.error("Download failed:", error);
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  return (
+    <Page>
+      <TitleBar title="Privacy Requests" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">
+                Compliance Log
+              </Text>
+              <Text as="p" variant="bodyMd" tone="subdued">
+                Customer data requests and redactions Shopify has sent for
+                this store, and when each was fulfilled. Redacted views and
+                orders stay in the product totals without the customer&apos;s
+                identifiers.
+              </Text>
+              {requests.length === 0 ? (
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  No privacy requests have been received.
+                </Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={[
+                    "text",
+                    "text",
+                    "text",
+                    "text",
+                    "text",
+                    "text",
+                  ]}
+                  headings={[
+                    "Received",
+                    "Request",
+                    "Customer",
+                    "Status",
+                    "Fulfilled",
+                    "Result",
+                  ]}
+                  rows={requests.map((complianceRequest) => {
+                    const status = STATUS_BADGES[complianceRequest.status];
+                    return [
+                      new Date(complianceRequest.receivedAt).toLocaleString(),
+                      TOPIC_LABELS[complianceRequest.topic] ||
+                        complianceRequest.topic,
+                      complianceRequest.customerId || "",
+                      <Badge key={complianceRequest.id} tone={status?.tone}>
+                        {complianceRequest.status === "failed"
+                          ? `Failed: ${complianceRequest.error}`
+                          : status?.label || complianceRequest.status}
+                      </Badge>,
+                      complianceRequest.fulfilledAt
+                        ? new Date(
+                            complianceRequest.fulfilledAt
+                          ).toLocaleString()
+                        : "",
+                      complianceRequest.hasExport ? (
+                        <Button
+                          key={complianceRequest.id}
+                          size="slim"
+                          onClick={() => handleDownload(complianceRequest.id)}
+                          loading={downloadingId === complianceRequest.id}
+                        >
+                          {`Download (${complianceRequest.summary})`}
+                        </Button>
+                      ) : (
+                        complianceRequest.summary
+                      ),
+                    ];
+                  })}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,259 @@
+import { useEffect, useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Select,
+  Checkbox,
+  Button,
+  Banner,
+  DataTable,
+  Badge,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  DIGEST_STATUS,
+  getDigestDeliveries,
+  getDigestSchedule,
+  parseRecipients,
+  saveDigestSchedule,
+  sendDigest,
+} from "../services/digest.server";
+
+const DAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const schedule = await getDigestSchedule(session.shop);
+  const deliveries = await getDigestDeliveries(session.shop);
+
+  return { schedule, deliveries };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  const { recipients, error } = parseRecipients(formData.get("recipients"));
+  if (error) {
+    return Response.json({ error }, { status: 400 });
+  }
+
+  if (intent === "send") {
+    if (recipients.length === 0) {
+      return Response.json(
+        { error: "Add at least one recipient to send a digest" },
+        { status: 400 }
+      );
+    }
+    const delivery = await sendDigest(session.shop, { recipients });
+    return delivery.status === DIGEST_STATUS.SENT
+      ? { message: `Digest sent to ${delivery.recipients}` }
+      : Response.json(
+          { error: `Digest could not be sent: ${delivery.error}` },
+          { status: 502 }
+        );
+  }
+
+  if (intent === "save") {
+    const enabled = formData.get("enabled") === "true";
+    const dayOfWeek = Number(formData.get("dayOfWeek"));
+    const hour = Number(formData.get("hour"));
+
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return Response.json({ error: "Invalid day" }, { status: 400 });
+    }
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return Response.json({ error: "Invalid hour" }, { status: 400 });
+    }
+    if (enabled && recipients.length === 0) {
+      return Response.json(
+        { error: "Add at least one recipient to enable the digest" },
+        { status: 400 }
+      );
+    }
+
+    await saveDigestSchedule(session.shop, {
+      enabled,
+      recipients,
+      dayOfWeek,
+      hour,
+    });
+    return { message: "Digest settings saved" };
+  }
+
+  return Response.json({ error: "Unknown action" }, { status: 400 });
+};
+
+export default function DigestSettings() {
+  const { schedule, deliveries } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+
+  const [enabled, setEnabled] = useState(schedule.enabled);
+  const [recipients, setRecipients] = useState(schedule.recipients);
+  const [dayOfWeek, setDayOfWeek] = useState(String(schedule.dayOfWeek));
+  const [hour, setHour] = useState(String(schedule.hour));
+
+  // Show the normalized recipient list once a save comes back
+  useEffect(() => {
+    setRecipients(schedule.recipients);
+  }, [schedule.recipients]);
+
+  const pendingIntent =
+    navigation.state === "submitting" && navigation.formData?.get("intent");
+
+  const handleSubmit = (intent) =>
+    submit(
+      {
+        intent,
+        enabled: String(enabled),
+        recipients,
+        dayOfWeek,
+        hour,
+      },
+      { method: "post" }
+    );
+
+  return (
+    <Page>
+      <TitleBar title="Weekly Digest" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {actionData?.error && (
+              <Banner tone="critical">{actionData.error}</Banner>
+            )}
+            {actionData?.message && (
+              <Banner tone="success">{actionData.message}</Banner>
+            )}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Digest Email
+                </Text>
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  A summary of the previous week's product views (Monday to
+                  Sunday, UTC): totals, top products and how they changed from
+                  the week before.
+                </Text>
+                <Checkbox
+                  label="Send the weekly digest"
+                  checked={enabled}
+                  onChange={setEnabled}
+                />
+                <TextField
+                  label="Recipients"
+                  helpText="Separate addresses with commas"
+                  value={recipients}
+                  onChange={setRecipients}
+                  multiline={2}
+                  autoComplete="email"
+                />
+                <InlineStack gap="300">
+                  <Select
+                    label="Day"
+                    options={DAYS.map((label, value) => ({
+                      label,
+                      value: String(value),
+                    }))}
+                    value={dayOfWeek}
+                    onChange={setDayOfWeek}
+                  />
+                  <Select
+                    label="Time (UTC)"
+                    options={Array.from({ length: 24 }, (_, value) => ({
+                      label: `${String(value).padStart(2, "0")}:00`,
+                      value: String(value),
+                    }))}
+                    value={hour}
+                    onChange={setHour}
+                  />
+                </InlineStack>
+                {schedule.enabled && schedule.nextRunAt && (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Next digest: {new Date(schedule.nextRunAt).toLocaleString()}
+                  </Text>
+                )}
+                <InlineStack gap="300">
+                  <Button
+                    variant="primary"
+                    onClick={() => handleSubmit("save")}
+                    loading={pendingIntent === "save"}
+                  >
+                    Save
+                  </Button>
+                  <Button
+                    onClick={() => handleSubmit("send")}
+                    loading={pendingIntent === "send"}
+                    disabled={!recipients.trim()}
+                  >
+                    Send now
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Recent Deliveries
+                </Text>
+                {deliveries.length === 0 ? (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    No digests have been sent yet.
+                  </Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "text"]}
+                    headings={["Sent", "Week", "Recipients", "Via", "Status"]}
+                    rows={deliveries.map((delivery) => [
+                      new Date(delivery.createdAt).toLocaleString(),
+                      new Date(delivery.periodStart).toLocaleDateString(
+                        undefined,
+                        { timeZone: "UTC" }
+                      ),
+                      delivery.recipients,
+                      delivery.transport,
+                      delivery.status === "sent" ? (
+                        <Badge key={delivery.id} tone="success">
+                          Sent
+                        </Badge>
+                      ) : (
+                        <Badge key={delivery.id} tone="critical">
+                          {`Failed: ${delivery.error}`}
+                        </Badge>
+                      ),
+                    ])}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
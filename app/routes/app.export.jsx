@@ -0,0 +1,20 @@
+import { authenticate } from "../shopify.server";
+import { createDownloadLink } from "../services/export.server";
+import { parseExportOptions } from "../utils/export-options";
+
+// Resource route behind the Export buttons on the analytics pages. Takes the
+// same date range params as the pages plus dataset, format, columns and bom,
+// and answers with a signed link to /export/download that the browser opens
+// to save the file.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const { error } = parseExportOptions(url.searchParams);
+
+  if (error) {
+    return Response.json({ error }, { status: 400 });
+  }
+
+  return { url: createDownloadLink(session.shop, url.searchParams) };
+};
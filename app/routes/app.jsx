@@ -26,6 +26,11 @@ export default function App() {
         <Link to="/app/view-product">View Product</Link>
         <Link to="/app/product-views">Product Views</Link>
         <Link to="/app/weekly-analytics">Weekly Analytics</Link>
+        <Link to="/app/digest">Weekly Digest</Link>
+        <Link to="/app/stock-alerts">Stock Alerts</Link>
+        <Link to="/app/compliance">Privacy Requests</Link>
+        <Link to="/app/webhooks">Webhooks</Link>
+        <Link to="/app/api-tokens">API Tokens</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
@@ -1,4 +1,5 @@
-import { useLoaderData } from "@remix-run/react";
+import { useEffect, useRef, useState } from "react";
+import { useLoaderData, useSearchParams } from "@remix-run/react";
 import {
   Page,
   Layout,
@@ -6,73 +7,175 @@ import {
   DataTable,
   Text,
   BlockStack,
-  Button,
   InlineStack,
+  Pagination,
+  TextField,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-import db from "../db.server";
+import { DateRangeControls } from "../components/DateRangeControls";
+import { ExportButton } from "../components/ExportButton";
+import { ProductCell } from "../components/ProductCell";
+import { Sparkline, TimeSeriesChart } from "../components/Charts";
 import {
-  getAllAnalyticsForExport,
-  formatAnalyticsAsCSV,
+  resolveProducts,
+  resolveProductSearch,
+} from "../services/products.server";
+import {
+  getAnalyticsBuckets,
+  getOrderCounts,
+  getUniqueViewerCounts,
+  listProductAnalytics,
 } from "../services/analytics.server";
+import { formatPeriodLabel, parseDateRange } from "../utils/date-range";
+import { formatConversionRate, getConversionRate } from "../utils/conversion";
+import { getProductSeries, getTotalSeries } from "../utils/chart-series";
+import {
+  PRODUCT_CURSOR_PARAMS,
+  PRODUCT_PAGE_SIZE,
+  parseProductListParams,
+} from "../utils/product-list";
+
+// Table columns that can be sorted, by column index
+const SORT_COLUMNS = { 2: "views", 7: "lastViewed", 8: "firstSeen" };
+
+const SEARCH_DEBOUNCE_MS = 400;
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
   const url = new URL(request.url);
-  const exportParam = url.searchParams.get("export");
-
-  // Handle CSV export
-  if (exportParam === "csv") {
-    const analytics = await getAllAnalyticsForExport();
-    const csvContent = formatAnalyticsAsCSV(analytics);
-    const date = new Date().toISOString().split("T")[0];
-    const filename = `product-analytics-${date}.csv`;
-
-    return new Response(csvContent, {
-      status: 200,
-      headers: {
-        "Content-Type": "text/csv",
-        "Content-Disposition": `attachment; filename="${filename}"`,
-      },
-    });
-  }
+  const { q, sort, direction, after, before } = parseProductListParams(
+    url.searchParams
+  );
+
+  const page = await listProductAnalytics(session.shop, {
+    sort,
+    direction,
+    after,
+    before,
+    search: await resolveProductSearch(admin, q),
+    limit: PRODUCT_PAGE_SIZE,
+  });
+
+  const productIds = page.items.map((analytics) => analytics.productId);
+  const uniqueViewers = await getUniqueViewerCounts(session.shop, {
+    productIds,
+  });
+  const orderCounts = await getOrderCounts(session.shop, { productIds });
+  const products = await resolveProducts(admin, session.shop, productIds);
 
-  // Fetch all product analytics, ordered by view count (highest first)
-  const productAnalytics = await db.productAnalytics.findMany({
-    orderBy: { viewCount: "desc" },
+  // Totals are all-time; the trend chart and sparklines follow the range
+  const { preset, granularity, startDate, endDate, start, end } =
+    parseDateRange(url.searchParams);
+  const buckets = await getAnalyticsBuckets(session.shop, {
+    startDate,
+    endDate,
+    granularity,
+    productIds,
   });
 
-  return { productAnalytics };
+  return {
+    page,
+    uniqueViewers,
+    orderCounts,
+    products,
+    buckets,
+    list: { q, sort, direction },
+    range: { preset, granularity, start, end },
+  };
 };
 
 export default function ProductViews() {
-  const { productAnalytics } = useLoaderData();
-
-  const rows = productAnalytics.map((analytics) => [
-    analytics.productId,
-    analytics.viewCount.toString(),
-    new Date(analytics.lastViewedAt).toLocaleString(),
-  ]);
-
-  const handleExport = async () => {
-    try {
-      const response = await fetch("/app/product-views?export=csv");
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `product-analytics-${new Date().toISOString().split("T")[0]}.csv`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      window.URL.revokeObjectURL(url);
-    } catch (error) {
-      console.error("Export is  failed:", error);
+  const { page, uniqueViewers, orderCounts, products, buckets, list, range } =
+    useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [query, setQuery] = useState(list.q);
+  const searchTimeout = useRef(null);
+  const productSeries = getProductSeries(buckets);
+  const emptySeries = buckets.map(() => 0);
+
+  // Changing the search or sort order starts again from the first page.
+  // Built from the current params, since a debounced search runs after
+  // this render's params may have changed.
+  const updateParams = (changes) => {
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current);
+      PRODUCT_CURSOR_PARAMS.forEach((key) => next.delete(key));
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) {
+          next.set(key, value);
+        } else {
+          next.delete(key);
+        }
+      });
+      return next;
+    });
+  };
+
+  const goToPage = (key, cursor) => {
+    const next = new URLSearchParams(searchParams);
+    PRODUCT_CURSOR_PARAMS.forEach((param) => next.delete(param));
+    next.set(key, cursor);
+    setSearchParams(next);
+  };
+
+  // Apply the search once typing pauses
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    clearTimeout(searchTimeout.current);
+    searchTimeout.current = null;
+    if (value.trim() === list.q) return;
+
+    searchTimeout.current = setTimeout(() => {
+      searchTimeout.current = null;
+      updateParams({ q: value.trim() });
+    }, SEARCH_DEBOUNCE_MS);
+  };
+
+  // Keep the field in sync when navigating back and forward, unless a newer
+  // search is waiting to be applied
+  useEffect(() => {
+    if (searchTimeout.current === null) {
+      setQuery(list.q);
     }
+  }, [list.q]);
+
+  useEffect(() => () => clearTimeout(searchTimeout.current), []);
+
+  const handleSort = (columnIndex, sortDirection) => {
+    updateParams({
+      sort: SORT_COLUMNS[columnIndex],
+      direction: sortDirection === "ascending" ? "asc" : "desc",
+    });
   };
 
+  const sortColumnIndex = Number(
+    Object.keys(SORT_COLUMNS).find((index) => SORT_COLUMNS[index] === list.sort)
+  );
+
+  const rows = page.items.map((analytics) => {
+    const { orders = 0, units = 0 } = orderCounts[analytics.productId] || {};
+    return [
+      <ProductCell
+        key={analytics.productId}
+        productId={analytics.productId}
+        product={products[analytics.productId]}
+      />,
+      <Sparkline
+        key={analytics.productId}
+        values={productSeries[analytics.productId] || emptySeries}
+      />,
+      analytics.viewCount.toString(),
+      (uniqueViewers[analytics.productId] || 0).toString(),
+      orders.toString(),
+      units.toString(),
+      formatConversionRate(getConversionRate(analytics.viewCount, orders)),
+      new Date(analytics.lastViewedAt).toLocaleString(),
+      new Date(analytics.createdAt).toLocaleString(),
+    ];
+  });
+
   return (
     <Page>
       <TitleBar title="Product Analytics dashboard" />
@@ -84,25 +187,92 @@ export default function ProductViews() {
                 <Text as="h2" variant="headingMd">
                   Product View Tracking
                 </Text>
-                <Button onClick={handleExport} variant="primary">
-                  Export to CSV
-                </Button>
+                <ExportButton dataset="products" />
               </InlineStack>
               <Text as="p" variant="bodyMd">
-                Track how many times each product has been viewed. Use the
-                /api/track-view endpoint to increment view counts.
+                Track how many times each product has been viewed. Storefront
+                views are recorded through the app proxy at
+                /apps/analytics/track-view.
               </Text>
-              {productAnalytics.length === 0 ? (
+              <DateRangeControls range={range} />
+              <TimeSeriesChart
+                points={getTotalSeries(buckets, (periodStart) =>
+                  formatPeriodLabel(periodStart, range.granularity)
+                )}
+              />
+              <TextField
+                label="Search products"
+                labelHidden
+                placeholder="Search by product title or ID"
+                value={query}
+                onChange={handleQueryChange}
+                clearButton
+                onClearButtonClick={() => handleQueryChange("")}
+                autoComplete="off"
+              />
+              {page.items.length === 0 ? (
                 <Text as="p" variant="bodyMd" tone="subdued">
-                  No product views tracked yet. Start tracking by sending POST
-                  requests to /api/track-view with a productId.
+                  {list.q
+                    ? `No tracked products match "${list.q}".`
+                    : "No product views tracked yet. Start tracking by sending POST requests with a productId to /apps/analytics/track-view on your storefront."}
                 </Text>
               ) : (
-                <DataTable
-                  columnContentTypes={["text", "numeric", "text"]}
-                  headings={["Product ID", "View Count", "Last Viewed"]}
-                  rows={rows}
-                />
+                <>
+                  <DataTable
+                    // Remount so the sort arrow follows the URL on back/forward
+                    key={`${list.sort}-${list.direction}`}
+                    columnContentTypes={[
+                      "text",
+                      "text",
+                      "numeric",
+                      "numeric",
+                      "numeric",
+                      "numeric",
+                      "numeric",
+                      "text",
+                      "text",
+                    ]}
+                    headings={[
+                      "Product",
+                      `Trend (${range.start} to ${range.end})`,
+                      "Total Views",
+                      "Unique Viewers",
+                      "Orders",
+                      "Units",
+                      "Conversion",
+                      "Last Viewed",
+                      "First Seen",
+                    ]}
+                    rows={rows}
+                    sortable={[
+                      false,
+                      false,
+                      true,
+                      false,
+                      false,
+                      false,
+                      false,
+                      true,
+                      true,
+                    ]}
+                    initialSortColumnIndex={sortColumnIndex}
+                    defaultSortDirection={
+                      list.direction === "asc" ? "ascending" : "descending"
+                    }
+                    onSort={handleSort}
+                    footerContent={`${page.totalCount} ${
+                      page.totalCount === 1 ? "product" : "products"
+                    }`}
+                  />
+                  <InlineStack align="center">
+                    <Pagination
+                      hasPrevious={Boolean(page.previousCursor)}
+                      onPrevious={() => goToPage("before", page.previousCursor)}
+                      hasNext={Boolean(page.nextCursor)}
+                      onNext={() => goToPage("after", page.nextCursor)}
+                    />
+                  </InlineStack>
+                </>
               )}
             </BlockStack>
           </Card>
@@ -0,0 +1,257 @@
+import { useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Text,
+  Badge,
+  Banner,
+  DataTable,
+  Thumbnail,
+  Link,
+} from "@shopify/polaris";
+import { ImageIcon } from "@shopify/polaris-icons";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { DateRangeControls } from "../components/DateRangeControls";
+import { TimeSeriesChart } from "../components/Charts";
+import {
+  getProductDetails,
+  resolveProducts,
+} from "../services/products.server";
+import {
+  getProductDetailAnalytics,
+  toNumericId,
+} from "../services/analytics.server";
+import { formatPeriodLabel, parseDateRange } from "../utils/date-range";
+import { formatConversionRate } from "../utils/conversion";
+
+// Variants loaded from Shopify to label the breakdown; views of variants
+// beyond this still show, by ID
+const VARIANT_LIMIT = 100;
+
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  if (!/^\d+$/.test(params.productId)) {
+    throw new Response("Product not found", { status: 404 });
+  }
+  const productId = toNumericId(params.productId);
+
+  const url = new URL(request.url);
+  const { preset, startDate, endDate, start, end } = parseDateRange(
+    url.searchParams
+  );
+
+  const analytics = await getProductDetailAnalytics(session.shop, productId, {
+    startDate,
+    endDate,
+  });
+
+  let product = null;
+  let productError = null;
+  try {
+    product = await getProductDetails(admin, productId, {
+      variantLimit: VARIANT_LIMIT,
+    });
+  } catch (error) {
+    console.error("Error fetching product:", error);
+    productError = "Product details could not be loaded from Shopify.";
+  }
+
+  if (!product && !productError && analytics.viewCount === 0) {
+    throw new Response("Product not found", { status: 404 });
+  }
+
+  // Last known details, which name the product once it has been deleted
+  const stored = product
+    ? null
+    : (await resolveProducts(admin, session.shop, [productId]))[productId];
+
+  const variantsById = new Map(
+    (product?.variants?.edges || []).map(({ node }) => [
+      toNumericId(node.id),
+      node,
+    ])
+  );
+  const variants = analytics.variants.map((variant) => {
+    const node = variantsById.get(variant.variantId);
+    return { ...variant, title: node?.title || null, sku: node?.sku || null };
+  });
+
+  return {
+    productId,
+    product,
+    storedTitle: stored?.title || null,
+    productError,
+    analytics,
+    variants,
+    range: { preset, granularity: "day", start, end },
+  };
+};
+
+export default function ProductDetail() {
+  const {
+    productId,
+    product,
+    storedTitle,
+    productError,
+    analytics,
+    variants,
+    range,
+  } = useLoaderData();
+
+  const title = product?.title || storedTitle || `Product ${productId}`;
+
+  return (
+    <Page
+      title={title}
+      backAction={{ content: "Product views", url: "/app/product-views" }}
+    >
+      <TitleBar title={title} />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {productError && <Banner tone="warning">{productError}</Banner>}
+            {!product && !productError && (
+              <Banner tone="info">
+                This product has been deleted from Shopify. Its recorded views
+                are kept below.
+              </Banner>
+            )}
+
+            {/* Product Card */}
+            {product && (
+              <Card>
+                <InlineStack gap="400" blockAlign="start" wrap={false}>
+                  <Thumbnail
+                    source={product.featuredImage?.url || ImageIcon}
+                    alt={product.featuredImage?.altText || product.title}
+                    size="large"
+                  />
+                  <BlockStack gap="200">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text as="h2" variant="headingMd">
+                        {product.title}
+                      </Text>
+                      <Badge>{product.status}</Badge>
+                    </InlineStack>
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      {[product.vendor, product.productType]
+                        .filter(Boolean)
+                        .join(" · ") || "No vendor or product type"}
+                    </Text>
+                    <Link
+                      url={`shopify://admin/products/${productId}`}
+                      target="_top"
+                    >
+                      Open in Shopify admin
+                    </Link>
+                  </BlockStack>
+                </InlineStack>
+              </Card>
+            )}
+
+            {/* Totals Card */}
+            <Card>
+              <InlineGrid columns={{ xs: 2, md: 4 }} gap="400">
+                <Stat label="Total Views" value={analytics.viewCount} />
+                <Stat
+                  label="Rank"
+                  value={
+                    analytics.rank
+                      ? `#${analytics.rank} of ${analytics.totalProducts}`
+                      : "Not ranked"
+                  }
+                />
+                <Stat
+                  label="First Seen"
+                  value={formatDateTime(analytics.firstSeenAt)}
+                />
+                <Stat
+                  label="Last Viewed"
+                  value={formatDateTime(analytics.lastViewedAt)}
+                />
+              </InlineGrid>
+            </Card>
+
+            {/* Daily History Card */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Daily Views ({range.start} to {range.end})
+                </Text>
+                <DateRangeControls range={range} showGranularity={false} />
+                <InlineStack gap="800">
+                  <Stat label="Views" value={analytics.periodViews} />
+                  <Stat label="Unique Viewers" value={analytics.uniqueViewers} />
+                  <Stat label="Orders" value={analytics.orders} />
+                  <Stat label="Units Sold" value={analytics.units} />
+                  <Stat
+                    label="Conversion Rate"
+                    value={formatConversionRate(analytics.conversionRate)}
+                  />
+                </InlineStack>
+                <TimeSeriesChart
+                  points={analytics.daily.map((day) => ({
+                    label: formatPeriodLabel(day.date, "day"),
+                    value: day.viewCount,
+                  }))}
+                />
+              </BlockStack>
+            </Card>
+
+            {/* Variant Breakdown Card */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Views by Variant
+                </Text>
+                {variants.length === 0 ? (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    No views in the selected period.
+                  </Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "numeric"]}
+                    headings={["Variant", "SKU", "Views", "Share"]}
+                    rows={variants.map((variant) => [
+                      variant.variantId
+                        ? variant.title || `Variant ${variant.variantId}`
+                        : "No variant reported",
+                      variant.sku || "",
+                      variant.viewCount.toString(),
+                      `${Math.round(
+                        (variant.viewCount / analytics.periodViews) * 100
+                      )}%`,
+                    ])}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
+
+function Stat({ label, value }) {
+  return (
+    <BlockStack gap="200">
+      <Text as="p" variant="bodyMd" tone="subdued">
+        {label}
+      </Text>
+      <Text as="p" variant="headingLg">
+        {value}
+      </Text>
+    </BlockStack>
+  );
+}
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString() : "Never";
+}
@@ -0,0 +1,315 @@
+import { useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Checkbox,
+  Button,
+  Banner,
+  DataTable,
+  Badge,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { ProductCell } from "../components/ProductCell";
+import { resolveProducts } from "../services/products.server";
+import {
+  checkStockAlerts,
+  getStockAlerts,
+  getStockAlertSettings,
+  getStockDemandReport,
+  saveStockAlertSettings,
+} from "../services/stock-alerts.server";
+
+// The report is built fresh on each visit, but the alert feed is only
+// updated by the background job or the re-check action
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const settings = await getStockAlertSettings(session.shop);
+  let report = [];
+  let reportError = null;
+  try {
+    report = await getStockDemandReport(admin, session.shop, settings);
+  } catch (error) {
+    console.error("Error loading stock report:", error);
+    reportError = "Inventory could not be loaded from Shopify.";
+  }
+
+  const alerts = await getStockAlerts(session.shop);
+  const products = await resolveProducts(admin, session.shop, [
+    ...report.map((row) => row.productId),
+    ...alerts.map((alert) => alert.productId),
+  ]);
+
+  return { settings, report, reportError, alerts, products };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "recheck") {
+    try {
+      const { report } = await checkStockAlerts(admin, session.shop);
+      const flagged = report.filter((row) => row.flagged).length;
+      return {
+        message: `Stock alerts checked, ${flagged} ${
+          flagged === 1 ? "product" : "products"
+        } running hot`,
+      };
+    } catch (error) {
+      console.error("Error checking stock alerts:", error);
+      return Response.json(
+        { error: "Inventory could not be loaded from Shopify." },
+        { status: 502 }
+      );
+    }
+  }
+
+  const threshold = Number(formData.get("threshold"));
+  const windowDays = Number(formData.get("windowDays"));
+
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 10000) {
+    return Response.json(
+      { error: "Threshold must be a number above 0" },
+      { status: 400 }
+    );
+  }
+  if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 90) {
+    return Response.json(
+      { error: "Window must be between 1 and 90 days" },
+      { status: 400 }
+    );
+  }
+
+  await saveStockAlertSettings(session.shop, {
+    stockAlertsEnabled: formData.get("enabled") === "true",
+    stockAlertThreshold: threshold,
+    stockAlertWindowDays: windowDays,
+  });
+  return { message: "Stock alert settings saved" };
+};
+
+export default function StockAlerts() {
+  const { settings, report, reportError, alerts, products } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+
+  const [enabled, setEnabled] = useState(settings.stockAlertsEnabled);
+  const [threshold, setThreshold] = useState(
+    String(settings.stockAlertThreshold)
+  );
+  const [windowDays, setWindowDays] = useState(
+    String(settings.stockAlertWindowDays)
+  );
+
+  const pendingIntent =
+    navigation.state === "submitting" && navigation.formData?.get("intent");
+
+  const handleSave = () =>
+    submit(
+      { intent: "save", enabled: String(enabled), threshold, windowDays },
+      { method: "post" }
+    );
+  const handleRecheck = () => submit({ intent: "recheck" }, { method: "post" });
+
+  const flaggedCount = report.filter((row) => row.flagged).length;
+
+  return (
+    <Page>
+      <TitleBar title="Stock Alerts" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {actionData?.error && (
+              <Banner tone="critical">{actionData.error}</Banner>
+            )}
+            {actionData?.message && (
+              <Banner tone="success">{actionData.message}</Banner>
+            )}
+
+            {/* Settings Card */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Alert Settings
+                </Text>
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  A product is flagged when its views over the window, per unit
+                  in stock, reach the threshold. Sold out products count as one
+                  unit. Products that don&apos;t track inventory are skipped.
+                </Text>
+                <InlineStack gap="300">
+                  <TextField
+                    label="Views per unit in stock"
+                    type="number"
+                    min={0}
+                    step={0.5}
+                    value={threshold}
+                    onChange={setThreshold}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Window"
+                    type="number"
+                    min={1}
+                    max={90}
+                    suffix="days"
+                    value={windowDays}
+                    onChange={setWindowDays}
+                    autoComplete="off"
+                  />
+                </InlineStack>
+                <Checkbox
+                  label="Check every hour in the background"
+                  checked={enabled}
+                  onChange={setEnabled}
+                />
+                {settings.stockAlertsCheckedAt && (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Last checked:{" "}
+                    {new Date(settings.stockAlertsCheckedAt).toLocaleString()}
+                  </Text>
+                )}
+                <InlineStack gap="200">
+                  <Button
+                    variant="primary"
+                    onClick={handleSave}
+                    loading={pendingIntent === "save"}
+                  >
+                    Save
+                  </Button>
+                  <Button
+                    onClick={handleRecheck}
+                    loading={pendingIntent === "recheck"}
+                  >
+                    Re-check now
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            {/* Report Card */}
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text as="h2" variant="headingMd">
+                    Demand vs. Inventory (last {settings.stockAlertWindowDays}{" "}
+                    days)
+                  </Text>
+                  <Badge tone={flaggedCount > 0 ? "warning" : undefined}>
+                    {`${flaggedCount} running hot`}
+                  </Badge>
+                </InlineStack>
+                {reportError && <Banner tone="warning">{reportError}</Banner>}
+                {report.length === 0 ? (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    No viewed products with tracked inventory in this window.
+                  </Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={[
+                      "text",
+                      "numeric",
+                      "numeric",
+                      "numeric",
+                      "text",
+                    ]}
+                    headings={[
+                      "Product",
+                      "Views",
+                      "In Stock",
+                      "Views per Unit",
+                      "Status",
+                    ]}
+                    rows={report.map((row) => [
+                      <ProductCell
+                        key={row.productId}
+                        productId={row.productId}
+                        product={products[row.productId]}
+                      />,
+                      row.views.toString(),
+                      row.inventory.toString(),
+                      row.demand.toString(),
+                      row.flagged ? (
+                        <Badge key={row.productId} tone="warning">
+                          Restock soon
+                        </Badge>
+                      ) : (
+                        ""
+                      ),
+                    ])}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+
+            {/* Alert Feed Card */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Alert Feed
+                </Text>
+                {alerts.length === 0 ? (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    No products have been flagged yet.
+                  </Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={[
+                      "text",
+                      "text",
+                      "numeric",
+                      "numeric",
+                      "text",
+                    ]}
+                    headings={[
+                      "Product",
+                      "Flagged",
+                      "Views",
+                      "In Stock",
+                      "Status",
+                    ]}
+                    rows={alerts.map((alert) => [
+                      <ProductCell
+                        key={alert.id}
+                        productId={alert.productId}
+                        product={products[alert.productId]}
+                      />,
+                      new Date(alert.createdAt).toLocaleString(),
+                      alert.views.toString(),
+                      alert.inventory.toString(),
+                      alert.resolvedAt ? (
+                        <Badge key={alert.id}>
+                          {`Resolved ${new Date(
+                            alert.resolvedAt
+                          ).toLocaleDateString()}`}
+                        </Badge>
+                      ) : (
+                        <Badge key={alert.id} tone="warning">
+                          Open
+                        </Badge>
+                      ),
+                    ])}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
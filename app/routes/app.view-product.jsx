@@ -14,6 +14,11 @@ import {
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import {
+  trackProductView,
+  getProductViewCount,
+} from "../services/analytics.server";
+import { getProductDetails } from "../services/products.server";
 
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
@@ -21,7 +26,7 @@ export const loader = async ({ request }) => {
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const formData = await request.formData();
   const productId = formData.get("productId");
 
@@ -30,71 +35,24 @@ export const action = async ({ request }) => {
   }
 
   try {
-    // Fetch product details from Shopify
-    const response = await admin.graphql(
-      `#graphql
-      query getProduct($id: ID!) {
-        product(id: $id) {
-          id
-          title
-          description
-          status
-          vendor
-          productType
-          createdAt
-          updatedAt
-          featuredImage {
-            url
-            altText
-          }
-          variants(first: 5) {
-            edges {
-              node {
-                id
-                title
-                price
-                sku
-                inventoryQuantity
-              }
-            }
-          }
-        }
-      }`,
-      {
-        variables: {
-          id: `gid://shopify/Product/${productId}`,
-        },
-      }
-    );
+    const product = await getProductDetails(admin, productId);
 
-    const responseJson = await response.json();
-
-    if (responseJson.data?.product) {
+    if (product) {
       // Track the view
       try {
-        const trackResponse = await fetch(
-          `${new URL(request.url).origin}/api/track-view`,
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify({ productId }),
-          }
-        );
-
-        const trackData = await trackResponse.json();
+        trackProductView(session.shop, productId);
+        const analytics = await getProductViewCount(session.shop, productId);
 
         return {
-          product: responseJson.data.product,
-          viewCount: trackData.viewCount,
-          lastViewedAt: trackData.lastViewedAt,
+          product,
+          viewCount: analytics.viewCount,
+          lastViewedAt: analytics.lastViewedAt,
         };
       } catch (trackError) {
         console.error("Error tracking view:", trackError);
         // Still return product data even if tracking fails
         return {
-          product: responseJson.data.product,
+          product,
           trackingError: "Failed to track view",
         };
       }
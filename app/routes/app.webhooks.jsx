@@ -0,0 +1,440 @@
+import { useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Select,
+  Button,
+  Banner,
+  DataTable,
+  Badge,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { ProductCell } from "../components/ProductCell";
+import { resolveProducts } from "../services/products.server";
+import {
+  WEBHOOK_RULE_KINDS,
+  createWebhookRule,
+  deleteWebhookRule,
+  getWebhookDeliveries,
+  getWebhookRules,
+  parseEndpointUrl,
+  retryWebhookDelivery,
+  setWebhookRuleEnabled,
+} from "../services/outbound-webhooks.server";
+
+const KIND_OPTIONS = [
+  { value: "total_views", label: "Total views reach" },
+  { value: "weekly_growth", label: "Weekly views grow by" },
+];
+
+const STATUS_BADGES = {
+  pending: { tone: "attention", label: "Pending" },
+  delivered: { tone: "success", label: "Delivered" },
+  failed: { tone: "critical", label: "Failed" },
+};
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const rules = await getWebhookRules(session.shop);
+  const deliveries = await getWebhookDeliveries(session.shop);
+  const products = await resolveProducts(
+    admin,
+    session.shop,
+    deliveries.map((delivery) => delivery.productId)
+  );
+
+  return { rules, deliveries, products };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "create") {
+    const name = (formData.get("name") || "").trim();
+    const kind = formData.get("kind");
+    const threshold = Number(formData.get("threshold"));
+    const minViews = Number(formData.get("minViews") || 0);
+    const { endpointUrl, error } = await parseEndpointUrl(
+      formData.get("endpointUrl")
+    );
+
+    if (!name || name.length > 100) {
+      return Response.json(
+        { error: "Give the rule a name of up to 100 characters" },
+        { status: 400 }
+      );
+    }
+    if (kind === WEBHOOK_RULE_KINDS.TOTAL_VIEWS) {
+      if (!Number.isInteger(threshold) || threshold < 1) {
+        return Response.json(
+          { error: "Views must be a whole number above 0" },
+          { status: 400 }
+        );
+      }
+    } else if (kind === WEBHOOK_RULE_KINDS.WEEKLY_GROWTH) {
+      if (!Number.isFinite(threshold) || threshold <= 1 || threshold > 100) {
+        return Response.json(
+          { error: "Growth must be a factor above 1, e.g. 3 for tripled" },
+          { status: 400 }
+        );
+      }
+      if (!Number.isInteger(minViews) || minViews < 0) {
+        return Response.json(
+          { error: "Minimum views must be a whole number" },
+          { status: 400 }
+        );
+      }
+    } else {
+      return Response.json({ error: "Invalid rule type" }, { status: 400 });
+    }
+    if (error) {
+      return Response.json({ error }, { status: 400 });
+    }
+
+    await createWebhookRule(session.shop, {
+      name,
+      kind,
+      threshold,
+      minViews: kind === WEBHOOK_RULE_KINDS.WEEKLY_GROWTH ? minViews : 0,
+      endpointUrl,
+    });
+    return { message: `Rule "${name}" created` };
+  }
+
+  if (intent === "enable" || intent === "disable") {
+    const ruleId = parseRecordId(formData.get("ruleId"));
+    if (!ruleId) {
+      return Response.json({ error: "Invalid rule" }, { status: 400 });
+    }
+
+    const updated = await setWebhookRuleEnabled(
+      session.shop,
+      ruleId,
+      intent === "enable"
+    );
+    return updated
+      ? { message: intent === "enable" ? "Rule enabled" : "Rule disabled" }
+      : Response.json({ error: "Rule not found" }, { status: 404 });
+  }
+
+  if (intent === "delete") {
+    const ruleId = parseRecordId(formData.get("ruleId"));
+    if (!ruleId) {
+      return Response.json({ error: "Invalid rule" }, { status: 400 });
+    }
+
+    const deleted = await deleteWebhookRule(session.shop, ruleId);
+    return deleted
+      ? { message: "Rule deleted" }
+      : Response.json({ error: "Rule not found" }, { status: 404 });
+  }
+
+  if (intent === "retry") {
+    const deliveryId = parseRecordId(formData.get("deliveryId"));
+    if (!deliveryId) {
+      return Response.json({ error: "Invalid delivery" }, { status: 400 });
+    }
+
+    const retried = await retryWebhookDelivery(session.shop, deliveryId);
+    return retried
+      ? { message: "Delivery queued to be sent again" }
+      : Response.json({ error: "Delivery not found" }, { status: 404 });
+  }
+
+  return Response.json({ error: "Unknown action" }, { status: 400 });
+};
+
+/**
+ * Read a record ID posted by the page
+ * @param {FormDataEntryValue|null} value - Form value
+ * @returns {number|null} The ID, or null when it isn't a positive integer
+ */
+function parseRecordId(value) {
+  const id = Number(value);
+  return Number.isSafeInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Describe when a rule fires
+ * @param {Object} rule - WebhookRule record
+ * @returns {string} Condition description
+ */
+function describeRule(rule) {
+  if (rule.kind === "weekly_growth") {
+    return `Weekly views grow ${rule.threshold}×${
+      rule.minViews > 0 ? ` (at least ${rule.minViews} views)` : ""
+    }`;
+  }
+  return `Total views reach ${rule.threshold}`;
+}
+
+export default function Webhooks() {
+  const { rules, deliveries, products } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+
+  const [name, setName] = useState("");
+  const [kind, setKind] = useState("total_views");
+  const [threshold, setThreshold] = useState("1000");
+  const [minViews, setMinViews] = useState("50");
+  const [endpointUrl, setEndpointUrl] = useState("");
+
+  const pendingIntent =
+    navigation.state === "submitting" && navigation.formData?.get("intent");
+  const pendingId =
+    pendingIntent &&
+    (navigation.formData.get("ruleId") ||
+      navigation.formData.get("deliveryId"));
+
+  const handleCreate = () =>
+    submit(
+      { intent: "create", name, kind, threshold, minViews, endpointUrl },
+      { method: "post" }
+    );
+  const handleRuleAction = (intent, ruleId) =>
+    submit({ intent, ruleId }, { method: "post" });
+  const handleRetry = (deliveryId) =>
+    submit({ intent: "retry", deliveryId }, { method: "post" });
+
+  const handleKindChange = (value) => {
+    setKind(value);
+    setThreshold(value === "weekly_growth" ? "3" : "1000");
+  };
+
+  const ruleNames = Object.fromEntries(
+    rules.map((rule) => [rule.id, rule.name])
+  );
+
+  return (
+    <Page>
+      <TitleBar title="Webhooks" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {actionData?.error && (
+              <Banner tone="critical">{actionData.error}</Banner>
+            )}
+            {actionData?.message && (
+              <Banner tone="success">{actionData.message}</Banner>
+            )}
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  New Rule
+                </Text>
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  Rules are checked as views are counted. When a product
+                  matches, a JSON POST is sent to the endpoint. The
+                  X-Analytics-Hmac-Sha256 header signs the X-Analytics-Timestamp
+                  header and the body, joined by a dot, with the rule&apos;s
+                  secret; reject deliveries with an old timestamp. Failed
+                  deliveries are retried with increasing delays. Weekly growth
+                  compares the last 7 days with the 7 days before and fires at
+                  most once a week per product.
+                </Text>
+                <InlineStack gap="300">
+                  <TextField
+                    label="Name"
+                    value={name}
+                    onChange={setName}
+                    maxLength={100}
+                    autoComplete="off"
+                  />
+                  <Select
+                    label="When"
+                    options={KIND_OPTIONS}
+                    value={kind}
+                    onChange={handleKindChange}
+                  />
+                  <TextField
+                    label={kind === "weekly_growth" ? "Factor" : "Views"}
+                    type="number"
+                    min={1}
+                    step={kind === "weekly_growth" ? 0.5 : 1}
+                    suffix={kind === "weekly_growth" ? "×" : undefined}
+                    value={threshold}
+                    onChange={setThreshold}
+                    autoComplete="off"
+                  />
+                  {kind === "weekly_growth" && (
+                    <TextField
+                      label="Minimum weekly views"
+                      type="number"
+                      min={0}
+                      value={minViews}
+                      onChange={setMinViews}
+                      autoComplete="off"
+                    />
+                  )}
+                </InlineStack>
+                <TextField
+                  label="Endpoint URL"
+                  type="url"
+                  placeholder="https://example.com/hooks/product-views"
+                  value={endpointUrl}
+                  onChange={setEndpointUrl}
+                  autoComplete="off"
+                />
+                <InlineStack>
+                  <Button
+                    variant="primary"
+                    onClick={handleCreate}
+                    loading={pendingIntent === "create"}
+                  >
+                    Create rule
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Rules
+                </Text>
+                {rules.length === 0 ? (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    No rules have been created.
+                  </Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={[
+                      "text",
+                      "text",
+                      "text",
+                      "text",
+                      "text",
+                    ]}
+                    headings={["Name", "Condition", "Endpoint", "Secret", ""]}
+                    rows={rules.map((rule) => [
+                      rule.enabled ? (
+                        rule.name
+                      ) : (
+                        <InlineStack key={rule.id} gap="200">
+                          <Text as="span">{rule.name}</Text>
+                          <Badge>Disabled</Badge>
+                        </InlineStack>
+                      ),
+                      describeRule(rule),
+                      rule.endpointUrl,
+                      <Text key={rule.id} as="span" variant="bodySm">
+                        <code>{rule.secret}</code>
+                      </Text>,
+                      <InlineStack key={rule.id} gap="200">
+                        <Button
+                          size="slim"
+                          onClick={() =>
+                            handleRuleAction(
+                              rule.enabled ? "disable" : "enable",
+                              rule.id
+                            )
+                          }
+                          loading={
+                            ["enable", "disable"].includes(pendingIntent) &&
+                            pendingId === String(rule.id)
+                          }
+                        >
+                          {rule.enabled ? "Disable" : "Enable"}
+                        </Button>
+                        <Button
+                          size="slim"
+                          tone="critical"
+                          onClick={() => handleRuleAction("delete", rule.id)}
+                          loading={
+                            pendingIntent === "delete" &&
+                            pendingId === String(rule.id)
+                          }
+                        >
+                          Delete
+                        </Button>
+                      </InlineStack>,
+                    ])}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Delivery Log
+                </Text>
+                {deliveries.length === 0 ? (
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    No webhooks have been triggered yet.
+                  </Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={[
+                      "text",
+                      "text",
+                      "text",
+                      "numeric",
+                      "text",
+                    ]}
+                    headings={[
+                      "Triggered",
+                      "Rule",
+                      "Product",
+                      "Attempts",
+                      "Status",
+                    ]}
+                    rows={deliveries.map((delivery) => {
+                      const status = STATUS_BADGES[delivery.status];
+                      return [
+                        new Date(delivery.createdAt).toLocaleString(),
+                        ruleNames[delivery.ruleId] || "",
+                        <ProductCell
+                          key={delivery.id}
+                          productId={delivery.productId}
+                          product={products[delivery.productId]}
+                        />,
+                        delivery.attempts.toString(),
+                        <InlineStack key={delivery.id} gap="200">
+                          <Badge tone={status?.tone}>
+                            {delivery.error && delivery.status !== "delivered"
+                              ? `${status?.label}: ${delivery.error}`
+                              : status?.label || delivery.status}
+                          </Badge>
+                          {delivery.status === "failed" && (
+                            <Button
+                              size="slim"
+                              onClick={() => handleRetry(delivery.id)}
+                              loading={
+                                pendingIntent === "retry" &&
+                                pendingId === String(delivery.id)
+                              }
+                            >
+                              Retry
+                            </Button>
+                          )}
+                        </InlineStack>,
+                      ];
+                    })}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
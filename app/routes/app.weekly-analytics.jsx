@@ -5,73 +5,105 @@ import {
   Card,
   BlockStack,
   Text,
-  Button,
   InlineStack,
   DataTable,
   Badge,
   Divider,
+  InlineGrid,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import { DateRangeControls } from "../components/DateRangeControls";
+import { ExportButton } from "../components/ExportButton";
+import { ProductCell } from "../components/ProductCell";
 import {
-  getWeeklyAnalytics,
+  Sparkline,
+  StackedBarChart,
+  TimeSeriesChart,
+} from "../components/Charts";
+import { resolveProducts } from "../services/products.server";
+import {
+  getAnalyticsBuckets,
   getAnalyticsSummary,
-  getAllAnalyticsForExport,
-  formatAnalyticsAsCSV,
+  getPeriodComparison,
 } from "../services/analytics.server";
+import { formatPeriodLabel, parseDateRange } from "../utils/date-range";
+import { formatConversionRate } from "../utils/conversion";
+import { formatChange } from "../utils/view-change";
+import {
+  getProductSeries,
+  getTopProductSeries,
+  getTotalSeries,
+} from "../utils/chart-series";
+
+// Rows shown in the period comparison table, busiest products first
+const COMPARISON_TABLE_LIMIT = 50;
+
+// Products charted separately in the stacked chart; the rest become "Other"
+const STACKED_CHART_LIMIT = 5;
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
   const url = new URL(request.url);
-  const exportParam = url.searchParams.get("export");
-
-  // Handle CSV export
-  if (exportParam === "csv") {
-    const analytics = await getAllAnalyticsForExport();
-    const csvContent = formatAnalyticsAsCSV(analytics);
-    const date = new Date().toISOString().split("T")[0];
-    const filename = `product-analytics-${date}.csv`;
-
-    return new Response(csvContent, {
-      status: 200,
-      headers: {
-        "Content-Type": "text/csv",
-        "Content-Disposition": `attachment; filename="${filename}"`,
-      },
-    });
-  }
 
-  // Get last 12 weeks of data
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - 84); // 12 weeks
+  const { preset, granularity, startDate, endDate, start, end } =
+    parseDateRange(url.searchParams);
 
-  const weeklyAnalytics = await getWeeklyAnalytics(startDate, endDate);
-  const summary = await getAnalyticsSummary();
+  const summary = await getAnalyticsSummary(session.shop, {
+    startDate,
+    endDate,
+  });
+
+  const comparison = await getPeriodComparison(session.shop, {
+    startDate,
+    endDate,
+  });
+  comparison.products = comparison.products.slice(0, COMPARISON_TABLE_LIMIT);
+
+  // The breakdown and charts only need the products in the comparison table;
+  // bucket totals still count every product
+  const buckets = await getAnalyticsBuckets(session.shop, {
+    startDate,
+    endDate,
+    granularity,
+    productIds: comparison.products.map((product) => product.productId),
+  });
+
+  const productIds = [
+    ...buckets.flatMap((bucket) =>
+      bucket.products.map((product) => product.productId)
+    ),
+    ...comparison.products.map((product) => product.productId),
+    ...comparison.rising.map((product) => product.productId),
+    ...comparison.falling.map((product) => product.productId),
+  ];
+  if (summary.mostViewedProduct) {
+    productIds.push(summary.mostViewedProduct);
+  }
+  const products = await resolveProducts(admin, session.shop, productIds);
 
-  return { weeklyAnalytics, summary };
+  return {
+    buckets,
+    summary,
+    comparison,
+    products,
+    range: { preset, granularity, start, end },
+  };
 };
 
 export default function WeeklyAnalytics() {
-  const { weeklyAnalytics, summary } = useLoaderData();
-
-  const handleExport = async () => {
-    try {
-      const response = await fetch("/app/weekly-analytics?export=csv");
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `product-analytics-${new Date().toISOString().split("T")[0]}.csv`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      window.URL.revokeObjectURL(url);
-    } catch (error) {
-      console.error("Export failed:", error);
-    }
-  };
+  const { buckets, summary, comparison, products, range } = useLoaderData();
+  const activeBuckets = buckets.filter((bucket) => bucket.totalViews > 0);
+
+  const formatLabel = (periodStart) =>
+    formatPeriodLabel(periodStart, range.granularity);
+  const productSeries = getProductSeries(buckets);
+  const topProductSeries = getTopProductSeries(buckets, {
+    limit: STACKED_CHART_LIMIT,
+    getName: (productId) =>
+      products[productId]?.title || `Product ${productId}`,
+  });
 
   return (
     <Page>
@@ -84,17 +116,16 @@ export default function WeeklyAnalytics() {
               <BlockStack gap="400">
                 <InlineStack align="space-between" blockAlign="center">
                   <Text as="h2" variant="headingMd">
-                    Analytics Summary
+                    Analytics Summary ({range.start} to {range.end})
                   </Text>
-                  <Button onClick={handleExport} variant="primary">
-                    Export to CSV
-                  </Button>
+                  <ExportButton dataset="periods" />
                 </InlineStack>
+                <DateRangeControls range={range} />
                 <Divider />
                 <InlineStack gap="800">
                   <BlockStack gap="200">
                     <Text as="p" variant="bodyMd" tone="subdued">
-                      Total Products
+                      Products Viewed
                     </Text>
                     <Text as="p" variant="headingLg">
                       {summary.totalProducts}
@@ -108,6 +139,14 @@ export default function WeeklyAnalytics() {
                       {summary.totalViews}
                     </Text>
                   </BlockStack>
+                  <BlockStack gap="200">
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      Unique Viewers
+                    </Text>
+                    <Text as="p" variant="headingLg">
+                      {summary.uniqueViewers}
+                    </Text>
+                  </BlockStack>
                   <BlockStack gap="200">
                     <Text as="p" variant="bodyMd" tone="subdued">
                       Average Views
@@ -116,14 +155,47 @@ export default function WeeklyAnalytics() {
                       {summary.averageViews}
                     </Text>
                   </BlockStack>
+                  <BlockStack gap="200">
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      Orders
+                    </Text>
+                    <Text as="p" variant="headingLg">
+                      {summary.totalOrders}
+                    </Text>
+                  </BlockStack>
+                  <BlockStack gap="200">
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      Units Sold
+                    </Text>
+                    <Text as="p" variant="headingLg">
+                      {summary.totalUnits}
+                    </Text>
+                  </BlockStack>
+                  <BlockStack gap="200">
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      Conversion Rate
+                    </Text>
+                    <Text as="p" variant="headingLg">
+                      {formatConversionRate(summary.conversionRate)}
+                    </Text>
+                  </BlockStack>
+                  <BlockStack gap="200">
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      Filtered Bot Views
+                    </Text>
+                    <Text as="p" variant="headingLg">
+                      {summary.filteredViews}
+                    </Text>
+                  </BlockStack>
                   {summary.mostViewedProduct && (
                     <BlockStack gap="200">
                       <Text as="p" variant="bodyMd" tone="subdued">
                         Most Viewed Product
                       </Text>
-                      <Text as="p" variant="headingLg">
-                        {summary.mostViewedProduct}
-                      </Text>
+                      <ProductCell
+                        productId={summary.mostViewedProduct}
+                        product={products[summary.mostViewedProduct]}
+                      />
                       <Badge tone="success">{summary.mostViewedCount} views</Badge>
                     </BlockStack>
                   )}
@@ -131,37 +203,150 @@ export default function WeeklyAnalytics() {
               </BlockStack>
             </Card>
 
-            {/* Weekly Data Card */}
+            {/* Views Over Time Card */}
             <Card>
               <BlockStack gap="400">
                 <Text as="h2" variant="headingMd">
-                  Weekly Breakdown (Last 12 Weeks)
+                  Views by {range.granularity}
                 </Text>
+                <TimeSeriesChart points={getTotalSeries(buckets, formatLabel)} />
+                {topProductSeries.length > 0 && (
+                  <>
+                    <Divider />
+                    <Text as="h3" variant="headingSm">
+                      Top products
+                    </Text>
+                    <StackedBarChart
+                      labels={[...buckets].reverse().map((bucket) =>
+                        formatLabel(bucket.periodStart)
+                      )}
+                      series={topProductSeries}
+                    />
+                  </>
+                )}
+              </BlockStack>
+            </Card>
+
+            {/* Period Comparison Card */}
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text as="h2" variant="headingMd">
+                    Compared to Previous Period
+                  </Text>
+                  <ChangeBadge change={comparison.totals} />
+                </InlineStack>
                 <Text as="p" variant="bodyMd" tone="subdued">
-                  View product analytics grouped by week
+                  {comparison.totals.currentViews} views against{" "}
+                  {comparison.totals.previousViews} from{" "}
+                  {new Date(comparison.previousStartDate).toLocaleDateString()}{" "}
+                  to {new Date(comparison.previousEndDate).toLocaleDateString()}
                 </Text>
+                <InlineGrid columns={{ xs: 1, md: 2 }} gap="400">
+                  <TrendingList
+                    title="Rising"
+                    items={comparison.rising}
+                    products={products}
+                  />
+                  <TrendingList
+                    title="Falling"
+                    items={comparison.falling}
+                    products={products}
+                  />
+                </InlineGrid>
+                {comparison.products.length > 0 && (
+                  <DataTable
+                    columnContentTypes={[
+                      "text",
+                      "text",
+                      "numeric",
+                      "numeric",
+                      "numeric",
+                    ]}
+                    headings={["Product", "Trend", "Views", "Previous", "Change"]}
+                    rows={comparison.products.map((product) => [
+                      <ProductCell
+                        key={product.productId}
+                        productId={product.productId}
+                        product={products[product.productId]}
+                      />,
+                      <Sparkline
+                        key={product.productId}
+                        values={
+                          productSeries[product.productId] ||
+                          buckets.map(() => 0)
+                        }
+                      />,
+                      product.currentViews.toString(),
+                      product.previousViews.toString(),
+                      formatChange(product),
+                    ])}
+                  />
+                )}
+              </BlockStack>
+            </Card>
 
-                {weeklyAnalytics.length === 0 ? (
+            {/* Period Breakdown Card */}
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Breakdown by {range.granularity}
+                </Text>
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  Views of the busiest products, grouped by {range.granularity}
+                </Text>
+
+                {activeBuckets.length === 0 ? (
                   <Text as="p" variant="bodyMd" tone="subdued">
                     No analytics data available for the selected time period.
                   </Text>
                 ) : (
                   <BlockStack gap="400">
-                    {weeklyAnalytics.map((week) => (
-                      <Card key={week.weekStart} background="bg-surface-secondary">
+                    {activeBuckets.map((bucket) => (
+                      <Card key={bucket.periodStart} background="bg-surface-secondary">
                         <BlockStack gap="300">
                           <InlineStack align="space-between" blockAlign="center">
                             <Text as="h3" variant="headingMd">
-                              Week of {new Date(week.weekStart).toLocaleDateString()}
+                              {formatPeriodLabel(bucket.periodStart, range.granularity)}
                             </Text>
-                            <Badge tone="info">{week.totalViews} total views</Badge>
+                            <InlineStack gap="200">
+                              <Badge tone="info">{bucket.totalViews} total views</Badge>
+                              <Badge>
+                                {`${bucket.totalOrders} ${
+                                  bucket.totalOrders === 1 ? "order" : "orders"
+                                } · ${formatConversionRate(
+                                  bucket.conversionRate
+                                )} conversion`}
+                              </Badge>
+                            </InlineStack>
                           </InlineStack>
                           <DataTable
-                            columnContentTypes={["text", "numeric", "text"]}
-                            headings={["Product ID", "Views", "Last Viewed"]}
-                            rows={week.products.map((product) => [
-                              product.productId,
+                            columnContentTypes={[
+                              "text",
+                              "numeric",
+                              "numeric",
+                              "numeric",
+                              "numeric",
+                              "text",
+                            ]}
+                            headings={[
+                              "Product",
+                              "Views",
+                              "Orders",
+                              "Units",
+                              "Conversion",
+                              "Last Viewed",
+                            ]}
+                            rows={bucket.products.map((product) => [
+                              <ProductCell
+                                key={product.productId}
+                                productId={product.productId}
+                                product={products[product.productId]}
+                              />,
                               product.viewCount.toString(),
+                              product.orders.toString(),
+                              product.units.toString(),
+                              formatConversionRate(product.conversionRate),
                               new Date(product.lastViewedAt).toLocaleString(),
                             ])}
                           />
@@ -178,3 +363,41 @@ export default function WeeklyAnalytics() {
     </Page>
   );
 }
+
+function ChangeBadge({ change }) {
+  const tone =
+    change.change > 0 ? "success" : change.change < 0 ? "critical" : undefined;
+  return <Badge tone={tone}>{formatChange(change)}</Badge>;
+}
+
+function TrendingList({ title, items, products }) {
+  return (
+    <Card background="bg-surface-secondary">
+      <BlockStack gap="300">
+        <Text as="h3" variant="headingSm">
+          {title}
+        </Text>
+        {items.length === 0 ? (
+          <Text as="p" variant="bodyMd" tone="subdued">
+            No {title.toLowerCase()} products in this period.
+          </Text>
+        ) : (
+          items.map((item) => (
+            <InlineStack
+              key={item.productId}
+              align="space-between"
+              blockAlign="center"
+              wrap={false}
+            >
+              <ProductCell
+                productId={item.productId}
+                product={products[item.productId]}
+              />
+              <ChangeBadge change={item} />
+            </InlineStack>
+          ))
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,26 @@
+import { unauthenticated } from "../shopify.server";
+import { exportAnalytics, verifyDownloadLink } from "../services/export.server";
+import { parseExportOptions } from "../utils/export-options";
+
+// Opened by the browser with a link from /app/export, so large exports
+// stream to disk. The signed link stands in for the session token, which a
+// plain navigation doesn't carry.
+export const loader = async ({ request }) => {
+  const url = new URL(request.url);
+  const shop = verifyDownloadLink(url.searchParams);
+
+  if (!shop) {
+    return Response.json(
+      { error: "This download link is invalid or has expired" },
+      { status: 403 }
+    );
+  }
+
+  const { options, error } = parseExportOptions(url.searchParams);
+  if (error) {
+    return Response.json({ error }, { status: 400 });
+  }
+
+  const { admin } = await unauthenticated.admin(shop);
+  return await exportAnalytics(admin, shop, options);
+};
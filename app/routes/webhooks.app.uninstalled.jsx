@@ -1,16 +1,38 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import {
+  isReinstalledSince,
+  scheduleShopPurge,
+} from "../services/shop-lifecycle.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
 
   console.log(`Received ${topic} webhook for ${shop}`);
 
+  // Retries keep the time of the original uninstall
+  const triggeredAt = Date.parse(
+    request.headers.get("X-Shopify-Triggered-At") || ""
+  );
+  const uninstalledAt = Number.isNaN(triggeredAt)
+    ? new Date()
+    : new Date(triggeredAt);
+
+  // A late delivery must not log out or purge a shop that has reinstalled
+  if (await isReinstalledSince(shop, uninstalledAt)) {
+    console.log(`Ignoring ${topic} for ${shop}, reinstalled since`);
+    return new Response();
+  }
+
   // Webhook requests can trigger multiple times and after an app has already been uninstalled.
   // If this webhook already ran, the session may have been deleted previously.
   if (session) {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Analytics are kept for the grace period in case the shop reinstalls;
+  // background jobs skip the shop meanwhile
+  await scheduleShopPurge(shop, uninstalledAt);
+
   return new Response();
 };
@@ -0,0 +1,12 @@
+import { authenticate } from "../shopify.server";
+import { handleComplianceRequest } from "../services/compliance.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await handleComplianceRequest(shop, topic, payload);
+
+  return new Response();
+};
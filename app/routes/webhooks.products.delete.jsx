@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { archiveProductMetadata } from "../services/products.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Views of the product are kept; reports show it as deleted
+  await archiveProductMetadata(shop, String(payload.id));
+
+  return new Response();
+};
@@ -0,0 +1,307 @@
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { resolveProducts } from "./products.server";
+import {
+  getAnalyticsBuckets,
+  getAnalyticsSummary,
+  getOrderCounts,
+  getUniqueViewerCounts,
+  getViewCountsByProduct,
+} from "./analytics.server";
+import { getConversionRate } from "../utils/conversion";
+import {
+  RANGE_PRESETS,
+  getWeekStart,
+  isValidDateKey,
+  parseDateRange,
+} from "../utils/date-range";
+
+export const API_VERSION = "v1";
+
+// Page sizes per endpoint: rows for products, weeks for weekly
+const PAGE_LIMITS = {
+  products: { default: 50, max: 250 },
+  weekly: { default: 12, max: 53 },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read and validate the query of an analytics API request
+ *
+ * Unlike the admin pages, which fall back to defaults, invalid parameters
+ * are reported so API clients find out they asked for something else.
+ * Dates are `start` and `end` (YYYY-MM-DD, UTC, both inclusive) or a
+ * `preset`; without either the last 90 days are used. `limit` sets the page
+ * size, `after` continues from the `nextCursor` of the previous page.
+ * @param {URLSearchParams} searchParams - Request search params
+ * @param {string} endpoint - "products", "weekly" or "summary"
+ * @returns {Object} `query` with the resolved `range`, `limit` and `after`,
+ *   or `error` describing the first invalid parameter
+ */
+export function parseApiQuery(searchParams, endpoint) {
+  const start = searchParams.get("start");
+  const end = searchParams.get("end");
+  const preset = searchParams.get("preset");
+  const rangeParams = new URLSearchParams();
+
+  if (start || end) {
+    if (!isValidDateKey(start) || !isValidDateKey(end)) {
+      return { error: "start and end must both be dates as YYYY-MM-DD" };
+    }
+    if (start > end) {
+      return { error: "start must not be after end" };
+    }
+    rangeParams.set("preset", "custom");
+    rangeParams.set("start", start);
+    rangeParams.set("end", end);
+  } else if (preset) {
+    if (
+      preset === "custom" ||
+      !RANGE_PRESETS.some((option) => option.value === preset)
+    ) {
+      return {
+        error: `preset must be one of ${RANGE_PRESETS.filter(
+          (option) => option.value !== "custom"
+        )
+          .map((option) => option.value)
+          .join(", ")}`,
+      };
+    }
+    rangeParams.set("preset", preset);
+  }
+
+  const query = { range: parseDateRange(rangeParams) };
+  if (endpoint === "summary") {
+    return { query };
+  }
+
+  const limits = PAGE_LIMITS[endpoint];
+  query.limit = limits.default;
+  if (searchParams.has("limit")) {
+    query.limit = Number(searchParams.get("limit"));
+    if (
+      !Number.isInteger(query.limit) ||
+      query.limit < 1 ||
+      query.limit > limits.max
+    ) {
+      return { error: `limit must be a whole number from 1 to ${limits.max}` };
+    }
+  }
+
+  const after = searchParams.get("after");
+  if (endpoint === "weekly") {
+    if (after && !isValidDateKey(after)) {
+      return { error: "after must be a week start as YYYY-MM-DD" };
+    }
+    query.after = after || null;
+    return { query };
+  }
+
+  query.after = after ? Number(after) : null;
+  if (after && !(Number.isSafeInteger(query.after) && query.after > 0)) {
+    return { error: "after must be a nextCursor from a previous page" };
+  }
+
+  return { query };
+}
+
+/**
+ * Get a page of products with their all-time totals and their views,
+ * unique viewers, orders and conversion rate within the date range
+ *
+ * Products are paged in the order they were first seen. Unlike view counts,
+ * that order never changes, so clients paging through while views come in
+ * neither skip nor repeat products.
+ * @param {string} shop - Shop domain
+ * @param {Object} query - Query from parseApiQuery
+ * @returns {Promise<Object>} API response body, or `error` when the cursor
+ *   doesn't point at one of the shop's products
+ */
+export async function getProductsPage(shop, { range, limit, after }) {
+  if (after) {
+    const cursorRow = await db.productAnalytics.findFirst({
+      where: { id: after, shop },
+      select: { id: true },
+    });
+    if (!cursorRow) {
+      return {
+        error: "after does not match a product; start from the first page",
+      };
+    }
+  }
+
+  const rows = await db.productAnalytics.findMany({
+    where: { shop, ...(after ? { id: { gt: after } } : {}) },
+    orderBy: { id: "asc" },
+    // One extra row tells whether there is another page
+    take: limit + 1,
+  });
+  const items = rows.slice(0, limit);
+  const totalCount = await db.productAnalytics.count({ where: { shop } });
+  const nextCursor = rows.length > limit ? items[items.length - 1].id : null;
+  const productIds = items.map((item) => item.productId);
+
+  const periodViews = new Map(
+    (
+      await getViewCountsByProduct(
+        shop,
+        range.startDate,
+        range.endDate,
+        productIds
+      )
+    ).map((group) => [group.productId, group.viewCount])
+  );
+  const uniqueViewers = await getUniqueViewerCounts(shop, {
+    productIds,
+    startDate: range.startDate,
+    endDate: range.endDate,
+  });
+  const orderCounts = await getOrderCounts(shop, {
+    productIds,
+    startDate: range.startDate,
+    endDate: range.endDate,
+  });
+  const products = await resolveApiProducts(shop, productIds);
+
+  return {
+    data: items.map((item) => {
+      const views = periodViews.get(item.productId) || 0;
+      const { orders = 0, units = 0 } = orderCounts[item.productId] || {};
+      const product = products[item.productId];
+      return {
+        productId: item.productId,
+        title: product?.title ?? null,
+        handle: product?.handle ?? null,
+        status: product?.status ?? null,
+        deleted: product?.deleted ?? false,
+        totalViews: item.viewCount,
+        firstSeenAt: item.createdAt,
+        lastViewedAt: item.lastViewedAt,
+        views,
+        uniqueViewers: uniqueViewers[item.productId] || 0,
+        orders,
+        units,
+        conversionRate: getConversionRate(views, orders),
+      };
+    }),
+    range: describeRange(range),
+    pagination: { limit, totalCount, nextCursor },
+  };
+}
+
+/**
+ * Get a page of weekly analytics, newest week first
+ *
+ * The cursor is the start of the oldest week on the previous page; each
+ * page only reads the events of its own weeks. Weeks at the edges of the
+ * range only count the days inside it.
+ * @param {string} shop - Shop domain
+ * @param {Object} query - Query from parseApiQuery
+ * @returns {Promise<Object>} API response body
+ */
+export async function getWeeklyPage(shop, { range, limit, after }) {
+  const pageEndDate = after
+    ? new Date(
+        Math.min(
+          getWeekStart(new Date(`${after}T00:00:00.000Z`)).getTime() - 1,
+          range.endDate.getTime()
+        )
+      )
+    : range.endDate;
+
+  if (pageEndDate < range.startDate) {
+    return {
+      data: [],
+      range: describeRange(range),
+      pagination: { limit, nextCursor: null },
+    };
+  }
+
+  const earliestStart = new Date(
+    getWeekStart(pageEndDate).getTime() - (limit - 1) * 7 * DAY_MS
+  );
+  const pageStartDate =
+    earliestStart > range.startDate ? earliestStart : range.startDate;
+
+  const buckets = await getAnalyticsBuckets(shop, {
+    startDate: pageStartDate,
+    endDate: pageEndDate,
+    granularity: "week",
+  });
+
+  return {
+    data: buckets.map((bucket) => ({
+      weekStart: bucket.periodStart,
+      totalViews: bucket.totalViews,
+      totalOrders: bucket.totalOrders,
+      totalUnits: bucket.totalUnits,
+      conversionRate: bucket.conversionRate,
+      products: bucket.products.map((product) => ({
+        productId: product.productId,
+        views: product.viewCount,
+        orders: product.orders,
+        units: product.units,
+        conversionRate: product.conversionRate,
+        lastViewedAt: product.lastViewedAt,
+      })),
+    })),
+    range: describeRange(range),
+    pagination: {
+      limit,
+      nextCursor:
+        pageStartDate > range.startDate
+          ? buckets[buckets.length - 1].periodStart
+          : null,
+    },
+  };
+}
+
+/**
+ * Get the summary figures for the date range
+ * @param {string} shop - Shop domain
+ * @param {Object} query - Query from parseApiQuery
+ * @returns {Promise<Object>} API response body
+ */
+export async function getSummary(shop, { range }) {
+  const summary = await getAnalyticsSummary(shop, {
+    startDate: range.startDate,
+    endDate: range.endDate,
+  });
+
+  return { data: summary, range: describeRange(range) };
+}
+
+/**
+ * Describe the date range a response covers, after defaults and the
+ * maximum range length were applied
+ * @param {Object} range - Range from parseDateRange
+ * @returns {Object} `start` and `end` day keys and the exact `startDate` and
+ *   `endDate`
+ */
+function describeRange(range) {
+  return {
+    start: range.start,
+    end: range.end,
+    startDate: range.startDate,
+    endDate: range.endDate,
+  };
+}
+
+/**
+ * Look up product details for an API response. API requests have no admin
+ * session, so this uses the shop's offline session; on failure products
+ * are returned without details.
+ * @param {string} shop - Shop domain
+ * @param {Array<string>} productIds - Numeric Shopify product IDs
+ * @returns {Promise<Object>} Product details keyed by product ID
+ */
+async function resolveApiProducts(shop, productIds) {
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    return await resolveProducts(admin, shop, productIds);
+  } catch (error) {
+    console.error(`Error loading products for the ${shop} API:`, error);
+    return {};
+  }
+}
@@ -1,106 +1,733 @@
+import { Prisma } from "@prisma/client";
 import db from "../db.server";
+import {
+  enqueueViewEvents,
+  getPendingViewCount,
+  isClientEventIdPending,
+} from "./view-buffer.server";
+import {
+  getDayStart,
+  getNextPeriodStart,
+  getPeriodStart,
+  toDateKey,
+} from "../utils/date-range";
+import { getConversionRate } from "../utils/conversion";
+
+// Start of the period a view falls in, as YYYY-MM-DD. Weeks start on
+// Monday: step back 6 days, then forward to the next Monday.
+const PERIOD_SQL = {
+  day: Prisma.sql`strftime('%Y-%m-%d', "viewedAt" / 1000, 'unixepoch')`,
+  week: Prisma.sql`date("viewedAt" / 1000, 'unixepoch', '-6 days', 'weekday 1')`,
+  month: Prisma.sql`strftime('%Y-%m-01', "viewedAt" / 1000, 'unixepoch')`,
+};
+
+/**
+ * Record a single product view for a shop
+ *
+ * The view is buffered and written with the next flush, see
+ * view-buffer.server.js.
+ * @param {string} shop - Shop domain the view belongs to
+ * @param {string} productId - Shopify product ID, numeric or GID
+ * @param {Object} [options] - Optional view details
+ * @param {string} [options.variantId] - Shopify variant ID, numeric or GID
+ * @param {string} [options.visitorId] - Anonymous visitor or session ID
+ * @throws {Error} When the product or variant ID is malformed
+ */
+export function trackProductView(
+  shop,
+  productId,
+  { variantId, visitorId } = {}
+) {
+  const { event, error } = validateViewEvent({
+    productId,
+    variantId,
+    visitorId,
+  });
+
+  if (error) {
+    throw new Error(error);
+  }
+
+  enqueueViewEvents(shop, [event]);
+}
+
+/**
+ * Get a product's view count, including views not yet flushed
+ * @param {string} shop - Shop domain
+ * @param {string} productId - Shopify product ID, numeric or GID
+ * @returns {Promise<Object>} `viewCount` and `lastViewedAt` (null if unseen)
+ */
+export async function getProductViewCount(shop, productId) {
+  const numericProductId = toNumericId(productId);
+  const analytics = await db.productAnalytics.findUnique({
+    where: { shop_productId: { shop, productId: numericProductId } },
+  });
+  const pending = getPendingViewCount(shop, numericProductId);
+
+  return {
+    viewCount: (analytics?.viewCount || 0) + pending,
+    lastViewedAt: pending > 0 ? new Date() : analytics?.lastViewedAt || null,
+  };
+}
+
+/**
+ * Reduce a Shopify ID to its numeric part
+ * @param {string|number} id - Numeric ID or GID such as gid://shopify/Product/1
+ * @returns {string} Numeric ID as a string
+ */
+export function toNumericId(id) {
+  return String(id).split("/").pop();
+}
+
+const SHOPIFY_ID_PATTERN = /^(gid:\/\/shopify\/[A-Za-z]+\/)?\d+$/;
+
+// Allow for clock drift between the sender and this server
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+const MAX_CLIENT_ID_LENGTH = 255;
+
+/**
+ * Validate and normalize a view event received from a client
+ * @param {Object} item - Raw event with productId, variantId, timestamp,
+ *   eventId, visitorId and customerId
+ * @returns {Object} `{ event }` when valid, otherwise `{ error }`
+ */
+export function validateViewEvent(item) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return { error: "Event must be an object" };
+  }
+
+  const { productId, variantId, timestamp, eventId, visitorId, customerId } =
+    item;
+
+  if (!productId || !SHOPIFY_ID_PATTERN.test(String(productId))) {
+    return { error: "productId must be a numeric ID or product GID" };
+  }
+
+  if (variantId != null && !SHOPIFY_ID_PATTERN.test(String(variantId))) {
+    return { error: "variantId must be a numeric ID or variant GID" };
+  }
+
+  if (customerId != null && !SHOPIFY_ID_PATTERN.test(String(customerId))) {
+    return { error: "customerId must be a numeric ID or customer GID" };
+  }
+
+  const viewedAt = timestamp == null ? new Date() : new Date(timestamp);
+
+  if (Number.isNaN(viewedAt.getTime())) {
+    return { error: "timestamp must be an ISO 8601 string or epoch milliseconds" };
+  }
+
+  if (viewedAt.getTime() > Date.now() + MAX_FUTURE_SKEW_MS) {
+    return { error: "timestamp cannot be in the future" };
+  }
+
+  if (eventId != null && !isValidClientId(eventId)) {
+    return {
+      error: `eventId must be a string of 1-${MAX_CLIENT_ID_LENGTH} characters`,
+    };
+  }
+
+  if (visitorId != null && !isValidClientId(visitorId)) {
+    return {
+      error: `visitorId must be a string of 1-${MAX_CLIENT_ID_LENGTH} characters`,
+    };
+  }
+
+  return {
+    event: {
+      productId: toNumericId(productId),
+      variantId: variantId == null ? null : toNumericId(variantId),
+      clientEventId: eventId ?? null,
+      visitorId: visitorId ?? null,
+      customerId: customerId == null ? null : toNumericId(customerId),
+      viewedAt,
+    },
+  };
+}
+
+/**
+ * Check an identifier supplied by a client
+ * @param {*} value - Event or visitor ID
+ * @returns {boolean} Whether it is a non-empty string of acceptable length
+ */
+function isValidClientId(value) {
+  return (
+    typeof value === "string" &&
+    value.length > 0 &&
+    value.length <= MAX_CLIENT_ID_LENGTH
+  );
+}
+
+/**
+ * Record a batch of product views for a shop
+ *
+ * Events that repeat a client event ID already stored or buffered for the
+ * shop, or seen earlier in the same batch, are reported as duplicates and not
+ * counted. Accepted events are written together with the next buffer flush.
+ * @param {string} shop - Shop domain the views belong to
+ * @param {Array} items - Raw events, see validateViewEvent
+ * @param {Object} [options] - Optional ingestion settings
+ * @param {Function} [options.classify] - Maps a raw item to a bot filter
+ *   reason, or null for human traffic
+ * @returns {Promise<Array>} Per-item results in input order, each with
+ *   `index`, `status` ("accepted", "filtered", "duplicate" or "invalid")
+ *   and `error`
+ */
+export async function recordProductViews(shop, items, { classify } = {}) {
+  const validated = items.map((item) => validateViewEvent(item));
+  const clientEventIds = validated
+    .map(({ event }) => event?.clientEventId)
+    .filter(Boolean);
+
+  const storedEvents =
+    clientEventIds.length > 0
+      ? await db.productViewEvent.findMany({
+          where: { shop, clientEventId: { in: clientEventIds } },
+          select: { clientEventId: true },
+        })
+      : [];
+  const seenEventIds = new Set(
+    storedEvents.map((stored) => stored.clientEventId)
+  );
+
+  const accepted = [];
+  const results = validated.map(({ event, error }, index) => {
+    if (error) {
+      return { index, status: "invalid", error };
+    }
+
+    if (event.clientEventId) {
+      if (
+        seenEventIds.has(event.clientEventId) ||
+        isClientEventIdPending(shop, event.clientEventId)
+      ) {
+        return { index, status: "duplicate" };
+      }
+      seenEventIds.add(event.clientEventId);
+    }
+
+    const filterReason = classify ? classify(items[index]) : null;
+    accepted.push({ ...event, filterReason });
+    return { index, status: filterReason ? "filtered" : "accepted" };
+  });
+
+  enqueueViewEvents(shop, accepted);
+
+  return results;
+}
+
+/**
+ * Record the products bought in an order
+ *
+ * Line items without a product, such as custom items, are skipped. Shopify
+ * may deliver the same order webhook more than once, so lines already
+ * recorded for the order are left as they are.
+ * @param {string} shop - Shop domain the order belongs to
+ * @param {Object} order - orders/create webhook payload
+ * @returns {Promise<number>} Number of product line items in the order
+ */
+export async function recordProductOrder(shop, order) {
+  const orderId = String(order.id);
+  const orderedAt = order.created_at ? new Date(order.created_at) : new Date();
+  const lineItems = (order.line_items || []).filter(
+    (lineItem) => lineItem.product_id && lineItem.quantity > 0
+  );
+
+  await db.$transaction(
+    lineItems.map((lineItem) => {
+      const lineItemId = String(lineItem.id);
+      return db.productOrderEvent.upsert({
+        where: { shop_orderId_lineItemId: { shop, orderId, lineItemId } },
+        create: {
+          shop,
+          orderId,
+          lineItemId,
+          productId: toNumericId(lineItem.product_id),
+          variantId: lineItem.variant_id
+            ? toNumericId(lineItem.variant_id)
+            : null,
+          customerId: order.customer?.id ? toNumericId(order.customer.id) : null,
+          quantity: lineItem.quantity,
+          orderedAt,
+        },
+        update: {},
+      });
+    })
+  );
+
+  return lineItems.length;
+}
 
 /**
  * Calculate analytics grouped by week
+ * @param {string} shop - Shop domain to scope analytics to
  * @param {Date} startDate - Start date for analytics
  * @param {Date} endDate - End date for analytics
  * @returns {Promise<Array>} Weekly analytics data
  */
-export async function getWeeklyAnalytics(startDate, endDate) {
-  const analytics = await db.productAnalytics.findMany({
+export async function getWeeklyAnalytics(shop, startDate, endDate) {
+  const weeks = await groupViewsByPeriod(shop, {
+    startDate,
+    endDate,
+    granularity: "week",
+  });
+
+  return weeks.map(({ periodStart, ...week }) => ({
+    weekStart: periodStart,
+    ...week,
+  }));
+}
+
+/**
+ * Calculate analytics grouped by day
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Date} startDate - Start date for analytics
+ * @param {Date} endDate - End date for analytics
+ * @returns {Promise<Array>} Daily analytics data
+ */
+export async function getDailyAnalytics(shop, startDate, endDate) {
+  const days = await groupViewsByPeriod(shop, {
+    startDate,
+    endDate,
+    granularity: "day",
+  });
+
+  return days.map(({ periodStart, ...day }) => ({ date: periodStart, ...day }));
+}
+
+/**
+ * Calculate analytics bucketed by day, week or month
+ *
+ * Every period overlapping the range is returned, including periods without
+ * any views, so the buckets form a continuous series. Each viewed product
+ * carries its orders, units and conversion rate for the period; the bucket
+ * totals also count orders of products that weren't viewed in it.
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Object} range - Period to bucket
+ * @param {Date} range.startDate - Start date for analytics
+ * @param {Date} range.endDate - End date for analytics
+ * @param {string} range.granularity - "day", "week" or "month"
+ * @param {Array<string>} [range.productIds] - Only list these products in
+ *   each bucket; the bucket totals still count every product
+ * @returns {Promise<Array>} Buckets with periodStart, products, totalViews,
+ *   totalOrders, totalUnits and conversionRate, newest first
+ */
+export async function getAnalyticsBuckets(
+  shop,
+  { startDate, endDate, granularity, productIds }
+) {
+  const getBucketStart = (date) => getPeriodStart(date, granularity);
+  const periods = await groupViewsByPeriod(shop, {
+    startDate,
+    endDate,
+    granularity,
+    productIds,
+  });
+  const periodsByStart = new Map(
+    periods.map((period) => [period.periodStart, period])
+  );
+  const orderEvents = await getOrderEvents(shop, startDate, endDate);
+  const ordersByPeriod = groupOrderEvents(orderEvents, getBucketStart);
+
+  const buckets = [];
+  for (
+    let periodStart = getPeriodStart(startDate, granularity);
+    periodStart <= endDate;
+    periodStart = getNextPeriodStart(periodStart, granularity)
+  ) {
+    const key = toDateKey(periodStart);
+    buckets.push(
+      addPeriodOrders(
+        periodsByStart.get(key) || {
+          periodStart: key,
+          products: [],
+          totalViews: 0,
+        },
+        ordersByPeriod[key]
+      )
+    );
+  }
+
+  return buckets.reverse();
+}
+
+/**
+ * Load the order lines for a shop within a date range
+ * @param {string} shop - Shop domain to scope order lines to
+ * @param {Date} startDate - Start date (inclusive)
+ * @param {Date} endDate - End date (inclusive)
+ * @returns {Promise<Array>} Order lines with productId, orderId, quantity
+ *   and orderedAt
+ */
+async function getOrderEvents(shop, startDate, endDate) {
+  return await db.productOrderEvent.findMany({
     where: {
-      lastViewedAt: {
+      shop,
+      orderedAt: {
         gte: startDate,
         lte: endDate,
       },
     },
-    orderBy: {
-      lastViewedAt: "desc",
+    select: {
+      productId: true,
+      orderId: true,
+      quantity: true,
+      orderedAt: true,
     },
   });
+}
 
-  // Group by week
-  const weeklyData = {};
+/**
+ * Group order lines into periods, counting orders and units per product
+ * @param {Array} orderEvents - Order lines from getOrderEvents
+ * @param {Function} getBucketStart - Maps a date to the start of its period
+ * @returns {Object} Periods keyed by start, each with the period's distinct
+ *   `orders` and `units` and `products` (`{ orders, units }` keyed by
+ *   product ID)
+ */
+function groupOrderEvents(orderEvents, getBucketStart) {
+  const periods = {};
 
-  analytics.forEach((item) => {
-    const date = new Date(item.lastViewedAt);
-    const weekStart = getWeekStart(date);
-    const weekKey = weekStart.toISOString().split("T")[0];
+  orderEvents.forEach((event) => {
+    const periodKey = toDateKey(getBucketStart(new Date(event.orderedAt)));
+    if (!periods[periodKey]) {
+      periods[periodKey] = { orderIds: new Set(), units: 0, products: {} };
+    }
 
-    if (!weeklyData[weekKey]) {
-      weeklyData[weekKey] = {
-        weekStart: weekKey,
-        products: [],
-        totalViews: 0,
-      };
+    const period = periods[periodKey];
+    if (!period.products[event.productId]) {
+      period.products[event.productId] = { orderIds: new Set(), units: 0 };
     }
+    const product = period.products[event.productId];
 
-    weeklyData[weekKey].products.push({
-      productId: item.productId,
-      viewCount: item.viewCount,
-      lastViewedAt: item.lastViewedAt,
-    });
-    weeklyData[weekKey].totalViews += item.viewCount;
+    period.orderIds.add(event.orderId);
+    period.units += event.quantity;
+    product.orderIds.add(event.orderId);
+    product.units += event.quantity;
   });
 
-  // Convert to array and sort by week
-  return Object.values(weeklyData).sort(
-    (a, b) => new Date(b.weekStart) - new Date(a.weekStart)
+  // An order containing several products counts once per product, but only
+  // once towards the period
+  return Object.fromEntries(
+    Object.entries(periods).map(([periodKey, period]) => [
+      periodKey,
+      {
+        orders: period.orderIds.size,
+        units: period.units,
+        products: Object.fromEntries(
+          Object.entries(period.products).map(([productId, product]) => [
+            productId,
+            { orders: product.orderIds.size, units: product.units },
+          ])
+        ),
+      },
+    ])
   );
 }
 
 /**
- * Get all analytics data for export
- * @returns {Promise<Array>} All product analytics records
+ * Add order counts and conversion rates to a period of views
+ * @param {Object} period - Period from groupViewEvents
+ * @param {Object} [periodOrders] - The period from groupOrderEvents
+ * @returns {Object} The period with order figures on it and its products
  */
-export async function getAllAnalyticsForExport() {
-  return await db.productAnalytics.findMany({
-    orderBy: {
-      viewCount: "desc",
-    },
+function addPeriodOrders(
+  period,
+  periodOrders = { orders: 0, units: 0, products: {} }
+) {
+  return {
+    ...period,
+    products: period.products.map((product) => {
+      const { orders = 0, units = 0 } =
+        periodOrders.products[product.productId] || {};
+      return {
+        ...product,
+        orders,
+        units,
+        conversionRate: getConversionRate(product.viewCount, orders),
+      };
+    }),
+    totalOrders: periodOrders.orders,
+    totalUnits: periodOrders.units,
+    conversionRate: getConversionRate(period.totalViews, periodOrders.orders),
+  };
+}
+
+/**
+ * Count views per period and product, grouped by the database rather than
+ * loaded event by event
+ *
+ * Prisma stores SQLite dates as Unix milliseconds, so periods are derived
+ * from those and days, weeks and months are in UTC like getPeriodStart.
+ * @param {string} shop - Shop domain to scope views to
+ * @param {Object} options
+ * @param {Date} options.startDate - Start date (inclusive)
+ * @param {Date} options.endDate - End date (inclusive)
+ * @param {string} options.granularity - "day", "week" or "month"
+ * @param {Array<string>} [options.productIds] - Only list these products;
+ *   totals still count every product
+ * @returns {Promise<Array>} Periods with `periodStart`, `totalViews` and
+ *   `products` (`{ productId, viewCount, lastViewedAt }`, most viewed
+ *   first), newest period first; periods without views are left out
+ */
+async function groupViewsByPeriod(
+  shop,
+  { startDate, endDate, granularity, productIds }
+) {
+  const period = PERIOD_SQL[granularity] || PERIOD_SQL.day;
+  const where = Prisma.sql`"shop" = ${shop}
+    AND "viewedAt" >= ${startDate.getTime()}
+    AND "viewedAt" <= ${endDate.getTime()}`;
+
+  const productRows =
+    productIds && productIds.length === 0
+      ? []
+      : await db.$queryRaw`
+          SELECT ${period} AS "periodStart", "productId",
+            COUNT(*) AS "viewCount", MAX("viewedAt") AS "lastViewedAt"
+          FROM "product_view_events"
+          WHERE ${where}
+            ${
+              productIds
+                ? Prisma.sql`AND "productId" IN (${Prisma.join(productIds)})`
+                : Prisma.empty
+            }
+          GROUP BY 1, 2`;
+  const totalRows = productIds
+    ? await db.$queryRaw`
+        SELECT ${period} AS "periodStart", COUNT(*) AS "totalViews"
+        FROM "product_view_events"
+        WHERE ${where}
+        GROUP BY 1`
+    : null;
+
+  const periods = new Map();
+  const getPeriod = (periodStart) => {
+    if (!periods.has(periodStart)) {
+      periods.set(periodStart, { periodStart, products: [], totalViews: 0 });
+    }
+    return periods.get(periodStart);
+  };
+
+  productRows.forEach((row) => {
+    const period = getPeriod(row.periodStart);
+    const viewCount = Number(row.viewCount);
+    period.products.push({
+      productId: row.productId,
+      viewCount,
+      lastViewedAt: new Date(Number(row.lastViewedAt)),
+    });
+    if (!totalRows) {
+      period.totalViews += viewCount;
+    }
   });
+  totalRows?.forEach((row) => {
+    getPeriod(row.periodStart).totalViews = Number(row.totalViews);
+  });
+
+  return [...periods.values()]
+    .map((period) => ({
+      ...period,
+      products: period.products.sort((a, b) => b.viewCount - a.viewCount),
+    }))
+    .sort((a, b) => (a.periodStart < b.periodStart ? 1 : -1));
 }
 
 /**
- * Get the start of the week (Monday) for a given date
- * @param {Date} date - Input date
- * @returns {Date} Start of the week
+ * Get one product's analytics: all-time totals and rank, plus a daily view
+ * history and per-variant breakdown for a date range
+ *
+ * Rank counts the products with strictly more views, so tied products share
+ * a rank.
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {string} productId - Numeric Shopify product ID
+ * @param {Object} range - Period for the history and breakdown
+ * @param {Date} range.startDate - Start date for the period
+ * @param {Date} range.endDate - End date for the period
+ * @returns {Promise<Object>} `viewCount`, `firstSeenAt`, `lastViewedAt`,
+ *   `rank`, `totalProducts`, `periodViews`, `uniqueViewers`, the period's
+ *   `orders`, `units` and `conversionRate`, `daily` (`{ date, viewCount }`
+ *   oldest first) and `variants` (`{ variantId, viewCount }`, most viewed
+ *   first; views without a variant have a null ID)
  */
-function getWeekStart(date) {
-  const d = new Date(date);
-  const day = d.getDay();
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Adjust when day is Sunday
-  return new Date(d.setDate(diff));
+export async function getProductDetailAnalytics(
+  shop,
+  productId,
+  { startDate, endDate }
+) {
+  const analytics = await db.productAnalytics.findUnique({
+    where: { shop_productId: { shop, productId } },
+  });
+  const totalProducts = await db.productAnalytics.count({ where: { shop } });
+  const rank = analytics
+    ? (await db.productAnalytics.count({
+        where: { shop, viewCount: { gt: analytics.viewCount } },
+      })) + 1
+    : null;
+
+  const days = await groupViewsByPeriod(shop, {
+    startDate,
+    endDate,
+    granularity: "day",
+    productIds: [productId],
+  });
+  const viewsByDay = Object.fromEntries(
+    days.map((day) => [day.periodStart, day.products[0]?.viewCount || 0])
+  );
+  const periodViews = Object.values(viewsByDay).reduce(
+    (sum, viewCount) => sum + viewCount,
+    0
+  );
+  const daily = [];
+  for (
+    let day = getDayStart(startDate);
+    day <= endDate;
+    day = getNextPeriodStart(day, "day")
+  ) {
+    const date = toDateKey(day);
+    daily.push({ date, viewCount: viewsByDay[date] || 0 });
+  }
+
+  const variantGroups = await db.productViewEvent.groupBy({
+    by: ["variantId"],
+    where: { shop, productId, viewedAt: { gte: startDate, lte: endDate } },
+    _count: { _all: true },
+  });
+  const uniqueViewers = await countUniqueViewers(shop, {
+    by: [],
+    productIds: [productId],
+    startDate,
+    endDate,
+  });
+  const orderCounts = await getOrderCounts(shop, {
+    productIds: [productId],
+    startDate,
+    endDate,
+  });
+  const { orders = 0, units = 0 } = orderCounts[productId] || {};
+
+  return {
+    viewCount: analytics?.viewCount || 0,
+    firstSeenAt: analytics?.createdAt || null,
+    lastViewedAt: analytics?.lastViewedAt || null,
+    rank,
+    totalProducts,
+    periodViews,
+    uniqueViewers: uniqueViewers[""] || 0,
+    orders,
+    units,
+    conversionRate: getConversionRate(periodViews, orders),
+    daily,
+    variants: variantGroups
+      .map((group) => ({
+        variantId: group.variantId,
+        viewCount: group._count._all,
+      }))
+      .sort((a, b) => b.viewCount - a.viewCount),
+  };
 }
 
+// Product Views table sort options mapped to ProductAnalytics fields
+const PRODUCT_SORT_FIELDS = {
+  views: "viewCount",
+  lastViewed: "lastViewedAt",
+  firstSeen: "createdAt",
+};
+
 /**
- * Format analytics data as CSV string
- * @param {Array} analytics - Analytics data to format
- * @returns {string} CSV formatted string
+ * List a shop's product analytics one page at a time
+ *
+ * Pages are read with a cursor on the row ID. Rows with equal sort values
+ * are ordered by ID, so paging never skips or repeats them.
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Object} [options] - Sorting, filtering and paging
+ * @param {string} [options.sort] - "views", "lastViewed" or "firstSeen"
+ * @param {string} [options.direction] - "asc" or "desc"
+ * @param {number} [options.after] - Row ID to read the page after
+ * @param {number} [options.before] - Row ID to read the page before
+ * @param {Object} [options.search] - Search from resolveProductSearch
+ * @param {number} [options.limit] - Rows per page
+ * @returns {Promise<Object>} `items`, `totalCount`, and the `nextCursor` and
+ *   `previousCursor` row IDs, null at either end
  */
-export function formatAnalyticsAsCSV(analytics) {
-  const headers = ["Product ID", "View Count", "Last Viewed At", "Created At"];
-  const csvRows = [headers.join(",")];
+export async function listProductAnalytics(
+  shop,
+  { sort = "views", direction = "desc", after, before, search, limit = 50 } = {}
+) {
+  const where = { shop, ...getProductSearchWhere(search) };
+  const cursor = after || before;
 
-  analytics.forEach((item) => {
-    const row = [
-      item.productId,
-      item.viewCount,
-      new Date(item.lastViewedAt).toISOString(),
-      new Date(item.createdAt).toISOString(),
-    ];
-    csvRows.push(row.join(","));
+  let rows = await db.productAnalytics.findMany({
+    where,
+    orderBy: [{ [PRODUCT_SORT_FIELDS[sort]]: direction }, { id: direction }],
+    // One extra row tells whether there is another page in that direction
+    take: before ? -(limit + 1) : limit + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
   });
 
-  return csvRows.join("\n");
+  // The cursor row no longer matches, e.g. it was deleted; start over
+  if (cursor && rows.length === 0) {
+    return await listProductAnalytics(shop, {
+      sort,
+      direction,
+      search,
+      limit,
+    });
+  }
+
+  const hasMore = rows.length > limit;
+  if (hasMore) {
+    rows = before ? rows.slice(1) : rows.slice(0, limit);
+  }
+  const hasPrevious = before ? hasMore : Boolean(after);
+  const hasNext = before ? true : hasMore;
+
+  return {
+    items: rows,
+    totalCount: await db.productAnalytics.count({ where }),
+    previousCursor: hasPrevious && rows.length > 0 ? rows[0].id : null,
+    nextCursor: hasNext && rows.length > 0 ? rows[rows.length - 1].id : null,
+  };
+}
+
+/**
+ * Build the ProductAnalytics filter for a product search
+ * @param {Object|null} search - Search from resolveProductSearch
+ * @returns {Object} Prisma where conditions, empty without a search
+ */
+export function getProductSearchWhere(search) {
+  if (!search) return {};
+
+  const conditions = [];
+  if (search.productId) {
+    conditions.push({ productId: { contains: search.productId } });
+  }
+  if (search.titleMatchIds.length > 0) {
+    conditions.push({ productId: { in: search.titleMatchIds } });
+  }
+  // An empty OR matches nothing, which is right when nothing matched
+  return { OR: conditions };
 }
 
 /**
  * Get analytics summary statistics
+ *
+ * Without a date range the all-time totals are used. With one, the figures
+ * are computed from the views logged within that period.
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Object} [range] - Optional period to summarize
+ * @param {Date} [range.startDate] - Start date for the period
+ * @param {Date} [range.endDate] - End date for the period
  * @returns {Promise<Object>} Summary statistics
  */
-export async function getAnalyticsSummary() {
-  const allAnalytics = await db.productAnalytics.findMany();
+export async function getAnalyticsSummary(shop, { startDate, endDate } = {}) {
+  const allAnalytics =
+    startDate && endDate
+      ? await getViewCountsByProduct(shop, startDate, endDate)
+      : await db.productAnalytics.findMany({
+          where: { shop },
+        });
 
   const totalProducts = allAnalytics.length;
   const totalViews = allAnalytics.reduce((sum, item) => sum + item.viewCount, 0);
@@ -112,11 +739,296 @@ export async function getAnalyticsSummary() {
     { viewCount: 0 }
   );
 
+  const filteredTraffic = await getFilteredTraffic(shop, {
+    startDate,
+    endDate,
+  });
+  const uniqueViewers = await countUniqueViewers(shop, {
+    by: [],
+    startDate,
+    endDate,
+  });
+  const orders = await db.productOrderEvent.groupBy({
+    by: ["orderId"],
+    where: {
+      shop,
+      ...(startDate && endDate
+        ? { orderedAt: { gte: startDate, lte: endDate } }
+        : {}),
+    },
+    _sum: { quantity: true },
+  });
+
   return {
     totalProducts,
     totalViews,
     averageViews: Math.round(averageViews * 100) / 100,
     mostViewedProduct: mostViewed.productId || null,
     mostViewedCount: mostViewed.viewCount || 0,
+    uniqueViewers: uniqueViewers[""] || 0,
+    filteredViews: filteredTraffic.totalViews,
+    totalOrders: orders.length,
+    totalUnits: orders.reduce(
+      (sum, order) => sum + (order._sum.quantity || 0),
+      0
+    ),
+    conversionRate: getConversionRate(totalViews, orders.length),
+  };
+}
+
+/**
+ * Count the unique viewers of each product
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Object} [options] - Optional filters
+ * @param {Array<string>} [options.productIds] - Only count these products
+ * @param {Date} [options.startDate] - Start date for the period
+ * @param {Date} [options.endDate] - End date for the period
+ * @returns {Promise<Object>} Unique viewer counts keyed by product ID
+ */
+export async function getUniqueViewerCounts(
+  shop,
+  { productIds, startDate, endDate } = {}
+) {
+  return await countUniqueViewers(shop, {
+    by: ["productId"],
+    productIds,
+    startDate,
+    endDate,
+  });
+}
+
+/**
+ * Count the orders and units bought of each product
+ *
+ * An order counts once per product however many lines or units of the
+ * product it has.
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Object} [options] - Optional filters
+ * @param {Array<string>} [options.productIds] - Only count these products
+ * @param {Date} [options.startDate] - Start date for the period
+ * @param {Date} [options.endDate] - End date for the period
+ * @returns {Promise<Object>} `{ orders, units }` keyed by product ID
+ */
+export async function getOrderCounts(
+  shop,
+  { productIds, startDate, endDate } = {}
+) {
+  const groups = await db.productOrderEvent.groupBy({
+    by: ["productId", "orderId"],
+    where: {
+      shop,
+      ...(productIds ? { productId: { in: productIds } } : {}),
+      ...(startDate && endDate
+        ? { orderedAt: { gte: startDate, lte: endDate } }
+        : {}),
+    },
+    _sum: { quantity: true },
+  });
+
+  const counts = {};
+  groups.forEach((group) => {
+    if (!counts[group.productId]) {
+      counts[group.productId] = { orders: 0, units: 0 };
+    }
+    counts[group.productId].orders += 1;
+    counts[group.productId].units += group._sum.quantity || 0;
+  });
+
+  return counts;
+}
+
+/**
+ * Count distinct visitor IDs from the view log. Views sent without a visitor
+ * ID can't be told apart, so each of them counts as its own viewer.
+ * @param {string} shop - Shop domain to scope events to
+ * @param {Object} options - Grouping and filters
+ * @param {Array<string>} options.by - Extra fields to count per, e.g.
+ *   ["productId"]; results for an empty list are keyed by ""
+ * @param {Array<string>} [options.productIds] - Only count these products
+ * @param {Date} [options.startDate] - Start date for the period
+ * @param {Date} [options.endDate] - End date for the period
+ * @returns {Promise<Object>} Unique viewer counts keyed by the grouped field
+ */
+async function countUniqueViewers(
+  shop,
+  { by, productIds, startDate, endDate }
+) {
+  const groups = await db.productViewEvent.groupBy({
+    by: [...by, "visitorId"],
+    where: {
+      shop,
+      ...(productIds ? { productId: { in: productIds } } : {}),
+      ...(startDate && endDate
+        ? { viewedAt: { gte: startDate, lte: endDate } }
+        : {}),
+    },
+    _count: { _all: true },
+  });
+
+  const counts = {};
+  groups.forEach((group) => {
+    const key = by.map((field) => group[field]).join("|");
+    counts[key] =
+      (counts[key] || 0) + (group.visitorId ? 1 : group._count._all);
+  });
+
+  return counts;
+}
+
+/**
+ * Get the bot and crawler hits that were kept out of the view counts
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Object} [range] - Optional period, all time when omitted
+ * @param {Date} [range.startDate] - Start date for the period
+ * @param {Date} [range.endDate] - End date for the period
+ * @returns {Promise<Object>} `totalViews` and counts keyed by filter reason
+ */
+export async function getFilteredTraffic(shop, { startDate, endDate } = {}) {
+  const groups = await db.filteredViewStat.groupBy({
+    by: ["reason"],
+    where: {
+      shop,
+      ...(startDate && endDate
+        ? { date: { gte: getDayStart(startDate), lte: endDate } }
+        : {}),
+    },
+    _sum: { viewCount: true },
+  });
+
+  const byReason = Object.fromEntries(
+    groups.map((group) => [group.reason, group._sum.viewCount || 0])
+  );
+
+  return {
+    totalViews: Object.values(byReason).reduce((sum, count) => sum + count, 0),
+    byReason,
+  };
+}
+
+/**
+ * Count the views logged per product within a date range
+ * @param {string} shop - Shop domain to scope events to
+ * @param {Date} startDate - Start date (inclusive)
+ * @param {Date} endDate - End date (inclusive)
+ * @param {Array<string>} [productIds] - Only count these products
+ * @returns {Promise<Array>} Objects with productId and viewCount
+ */
+export async function getViewCountsByProduct(
+  shop,
+  startDate,
+  endDate,
+  productIds
+) {
+  const groups = await db.productViewEvent.groupBy({
+    by: ["productId"],
+    where: {
+      shop,
+      ...(productIds ? { productId: { in: productIds } } : {}),
+      viewedAt: {
+        gte: startDate,
+        lte: endDate,
+      },
+    },
+    _count: { _all: true },
+  });
+
+  return groups.map((group) => ({
+    productId: group.productId,
+    viewCount: group._count._all,
+  }));
+}
+
+/**
+ * Compare a period's views with the period of equal length just before it
+ *
+ * Products are ranked as rising or falling by momentum: the change in views
+ * divided by the square root of the previous period's views (plus one). This
+ * favours real growth over noise on products that had almost no views.
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Object} range - Period to compare
+ * @param {Date} range.startDate - Start date for the period
+ * @param {Date} range.endDate - End date for the period
+ * @param {number} [range.trendingLimit] - Max rising and falling products
+ * @returns {Promise<Object>} `totals`, per-product `products` sorted by
+ *   current views, `rising`, `falling` and the `previousStartDate` and
+ *   `previousEndDate` compared against
+ */
+export async function getPeriodComparison(
+  shop,
+  { startDate, endDate, trendingLimit = 10 }
+) {
+  const previousEndDate = new Date(startDate.getTime() - 1);
+  const previousStartDate = new Date(
+    previousEndDate.getTime() - (endDate.getTime() - startDate.getTime())
+  );
+
+  const [current, previous] = await Promise.all([
+    getViewCountsByProduct(shop, startDate, endDate),
+    getViewCountsByProduct(shop, previousStartDate, previousEndDate),
+  ]);
+
+  const previousByProduct = Object.fromEntries(
+    previous.map((item) => [item.productId, item.viewCount])
+  );
+  const currentByProduct = Object.fromEntries(
+    current.map((item) => [item.productId, item.viewCount])
+  );
+  const productIds = new Set([
+    ...Object.keys(currentByProduct),
+    ...Object.keys(previousByProduct),
+  ]);
+
+  const products = [...productIds]
+    .map((productId) => {
+      const change = compareViews(
+        currentByProduct[productId] || 0,
+        previousByProduct[productId] || 0
+      );
+      return {
+        productId,
+        ...change,
+        momentum: change.change / Math.sqrt(change.previousViews + 1),
+      };
+    })
+    .sort((a, b) => b.currentViews - a.currentViews);
+
+  const byMomentum = [...products].sort((a, b) => b.momentum - a.momentum);
+
+  return {
+    totals: compareViews(
+      current.reduce((sum, item) => sum + item.viewCount, 0),
+      previous.reduce((sum, item) => sum + item.viewCount, 0)
+    ),
+    products,
+    rising: byMomentum
+      .filter((item) => item.change > 0)
+      .slice(0, trendingLimit),
+    falling: byMomentum
+      .filter((item) => item.change < 0)
+      .reverse()
+      .slice(0, trendingLimit),
+    previousStartDate,
+    previousEndDate,
+  };
+}
+
+/**
+ * Absolute and percent change between two view counts
+ * @param {number} currentViews - Views in the selected period
+ * @param {number} previousViews - Views in the previous period
+ * @returns {Object} Both counts, `change` and `percentChange` (null when
+ *   there were no previous views)
+ */
+export function compareViews(currentViews, previousViews) {
+  const change = currentViews - previousViews;
+
+  return {
+    currentViews,
+    previousViews,
+    change,
+    percentChange:
+      previousViews > 0
+        ? Math.round((change / previousViews) * 1000) / 10
+        : null,
   };
 }
@@ -0,0 +1,224 @@
+import crypto from "node:crypto";
+import db from "../db.server";
+
+const TOKEN_PREFIX = "pva_";
+
+// Characters of the token kept in the clear so merchants can tell tokens
+// apart in the list
+const VISIBLE_TOKEN_LENGTH = TOKEN_PREFIX.length + 6;
+
+export const API_TOKEN_SCOPES = {
+  READ: "read",
+  INGEST: "ingest",
+};
+
+export const DEFAULT_RATE_LIMIT = 60;
+export const MAX_RATE_LIMIT = 600;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// lastUsedAt is written at most this often per token, so busy integrations
+// don't turn every read into a write
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Request counts per token ID for the current window. Kept in memory, so
+// with several app instances each one enforces the limit separately.
+const rateLimitWindows = new Map();
+
+/**
+ * Create an API token for a shop
+ *
+ * The token is only returned here; just its hash is stored.
+ * @param {string} shop - Shop domain
+ * @param {Object} options
+ * @param {string} options.name - Label to tell the token apart
+ * @param {string} [options.scope] - "read" for the analytics API, "ingest"
+ *   for the view import
+ * @param {number} [options.rateLimitPerMinute] - Requests allowed per minute
+ * @returns {Promise<Object>} `token`, the secret to hand to the API client,
+ *   and `apiToken`, the stored record
+ */
+export async function createApiToken(
+  shop,
+  {
+    name,
+    scope = API_TOKEN_SCOPES.READ,
+    rateLimitPerMinute = DEFAULT_RATE_LIMIT,
+  }
+) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+  const apiToken = await db.apiToken.create({
+    data: {
+      shop,
+      name,
+      scope,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, VISIBLE_TOKEN_LENGTH),
+      rateLimitPerMinute,
+    },
+  });
+
+  return { token, apiToken };
+}
+
+/**
+ * Revoke one of a shop's API tokens
+ * @param {string} shop - Shop domain
+ * @param {number} tokenId - ApiToken ID
+ * @returns {Promise<boolean>} Whether an active token was revoked
+ */
+export async function revokeApiToken(shop, tokenId) {
+  const { count } = await db.apiToken.updateMany({
+    where: { id: tokenId, shop, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  rateLimitWindows.delete(tokenId);
+  return count > 0;
+}
+
+/**
+ * Get a shop's API tokens, without their hashes
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array>} ApiToken records, active ones first, newest
+ *   first within each group
+ */
+export async function getApiTokens(shop) {
+  const tokens = await db.apiToken.findMany({
+    where: { shop },
+    select: {
+      id: true,
+      name: true,
+      scope: true,
+      tokenPrefix: true,
+      rateLimitPerMinute: true,
+      createdAt: true,
+      lastUsedAt: true,
+      revokedAt: true,
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return [
+    ...tokens.filter((token) => !token.revokedAt),
+    ...tokens.filter((token) => token.revokedAt),
+  ];
+}
+
+/**
+ * Authenticate an analytics API or view import request by its bearer token
+ *
+ * Each token has its own per-minute request limit and only works for the
+ * endpoints of its scope. Tokens of shops that have uninstalled the app stop
+ * working, though their data is kept for the grace period.
+ * @param {Request} request - Incoming API request
+ * @param {string} scope - Scope the endpoint requires
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} `shop` and the authenticated `apiToken`
+ * @throws {Response} 401 when the token is missing, unknown or revoked,
+ *   403 when it has another scope, 429 with a Retry-After header when the
+ *   token is over its rate limit
+ */
+export async function authenticateApiToken(request, scope, now = new Date()) {
+  const match = /^Bearer\s+(\S+)$/i.exec(
+    request.headers.get("Authorization") || ""
+  );
+
+  if (!match) {
+    throw Response.json(
+      { error: "Missing bearer token" },
+      { status: 401, headers: { "WWW-Authenticate": "Bearer" } }
+    );
+  }
+
+  const apiToken = await db.apiToken.findUnique({
+    where: { tokenHash: hashToken(match[1]) },
+  });
+  const uninstall = apiToken
+    ? await db.shopUninstall.findUnique({ where: { shop: apiToken.shop } })
+    : null;
+
+  if (!apiToken || apiToken.revokedAt || uninstall) {
+    throw Response.json(
+      { error: "Invalid or revoked token" },
+      {
+        status: 401,
+        headers: { "WWW-Authenticate": 'Bearer error="invalid_token"' },
+      }
+    );
+  }
+
+  if (apiToken.scope !== scope) {
+    throw Response.json(
+      { error: `This endpoint needs a token with the ${scope} scope` },
+      {
+        status: 403,
+        headers: {
+          "WWW-Authenticate": `Bearer error="insufficient_scope", scope="${scope}"`,
+        },
+      }
+    );
+  }
+
+  const retryAfter = consumeRateLimit(apiToken, now);
+  if (retryAfter) {
+    throw Response.json(
+      { error: "Rate limit exceeded" },
+      {
+        status: 429,
+        headers: {
+          "Retry-After": String(retryAfter),
+          "X-RateLimit-Limit": String(apiToken.rateLimitPerMinute),
+        },
+      }
+    );
+  }
+
+  if (
+    !apiToken.lastUsedAt ||
+    now - apiToken.lastUsedAt >= LAST_USED_RESOLUTION_MS
+  ) {
+    await db.apiToken.update({
+      where: { id: apiToken.id },
+      data: { lastUsedAt: now },
+    });
+  }
+
+  return { shop: apiToken.shop, apiToken };
+}
+
+/**
+ * Hash a token for storage and lookup
+ *
+ * Tokens are long and random, so a plain SHA-256 is enough; a slow password
+ * hash would only add latency to every request.
+ * @param {string} token - Token as sent by the client
+ * @returns {string} Hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Count a request against its token's fixed one-minute window
+ * @param {Object} apiToken - ApiToken record
+ * @param {Date} now - Current time
+ * @returns {number} Seconds until the window resets when the token is over
+ *   its limit, otherwise 0
+ */
+function consumeRateLimit(apiToken, now) {
+  let window = rateLimitWindows.get(apiToken.id);
+  if (!window || now - window.startedAt >= RATE_LIMIT_WINDOW_MS) {
+    window = { startedAt: now.getTime(), count: 0 };
+    rateLimitWindows.set(apiToken.id, window);
+  }
+
+  if (window.count >= apiToken.rateLimitPerMinute) {
+    return Math.ceil(
+      (window.startedAt + RATE_LIMIT_WINDOW_MS - now.getTime()) / 1000
+    );
+  }
+
+  window.count += 1;
+  return 0;
+}
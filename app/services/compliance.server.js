@@ -0,0 +1,240 @@
+import db from "../db.server";
+import { toNumericId } from "./analytics.server";
+import { deleteShopData } from "./shop-lifecycle.server";
+import { flushViewBuffer } from "./view-buffer.server";
+
+export const COMPLIANCE_TOPICS = {
+  CUSTOMERS_DATA_REQUEST: "CUSTOMERS_DATA_REQUEST",
+  CUSTOMERS_REDACT: "CUSTOMERS_REDACT",
+  SHOP_REDACT: "SHOP_REDACT",
+};
+
+export const COMPLIANCE_STATUS = {
+  RECEIVED: "received",
+  FULFILLED: "fulfilled",
+  FAILED: "failed",
+};
+
+/**
+ * Log a privacy compliance webhook and carry it out
+ *
+ * The request is logged before any data is touched and marked fulfilled or
+ * failed afterwards, so the log shows every request Shopify sent and when it
+ * was completed. Failures are rethrown so the webhook responds with an error
+ * and Shopify retries it; each retry is logged separately.
+ * @param {string} shop - Shop domain
+ * @param {string} topic - One of COMPLIANCE_TOPICS
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object>} The fulfilled ComplianceRequest
+ */
+export async function handleComplianceRequest(shop, topic, payload) {
+  const customerId = payload.customer?.id
+    ? toNumericId(payload.customer.id)
+    : null;
+  const orderIds = (
+    payload.orders_requested ||
+    payload.orders_to_redact ||
+    []
+  ).map((orderId) => toNumericId(orderId));
+
+  const request = await db.complianceRequest.create({
+    data: {
+      shop,
+      topic,
+      customerId,
+      orderIds: orderIds.join(","),
+      status: COMPLIANCE_STATUS.RECEIVED,
+    },
+  });
+
+  try {
+    let result;
+    if (topic === COMPLIANCE_TOPICS.CUSTOMERS_DATA_REQUEST) {
+      result = await exportCustomerData(shop, { customerId, orderIds });
+    } else if (topic === COMPLIANCE_TOPICS.CUSTOMERS_REDACT) {
+      result = await redactCustomerData(shop, { customerId, orderIds });
+    } else if (topic === COMPLIANCE_TOPICS.SHOP_REDACT) {
+      result = await deleteShopData(shop);
+    } else {
+      throw new Error(`Unknown compliance topic: ${topic}`);
+    }
+
+    return await db.complianceRequest.update({
+      where: { id: request.id },
+      data: {
+        status: COMPLIANCE_STATUS.FULFILLED,
+        result: JSON.stringify(result),
+        fulfilledAt: new Date(),
+      },
+    });
+  } catch (error) {
+    await db.complianceRequest.update({
+      where: { id: request.id },
+      data: { status: COMPLIANCE_STATUS.FAILED, error: error.message },
+    });
+    throw error;
+  }
+}
+
+/**
+ * Collect the analytics data held about a customer
+ *
+ * Views are found by customer ID, along with the views of any visitor ID
+ * the customer was seen with, which covers browsing before they logged in.
+ * Orders are found by customer ID or by the order IDs Shopify lists.
+ * @param {string} shop - Shop domain
+ * @param {Object} customer
+ * @param {string|null} customer.customerId - Numeric customer ID
+ * @param {Array<string>} customer.orderIds - Numeric order IDs
+ * @returns {Promise<Object>} `customerId`, `views` and `orders`
+ */
+export async function exportCustomerData(shop, { customerId, orderIds }) {
+  await flushViewBuffer();
+
+  const views = await db.productViewEvent.findMany({
+    where: await getCustomerViewsWhere(shop, customerId),
+    select: {
+      productId: true,
+      variantId: true,
+      visitorId: true,
+      viewedAt: true,
+    },
+    orderBy: { viewedAt: "asc" },
+  });
+  const orders = await db.productOrderEvent.findMany({
+    where: getCustomerOrdersWhere(shop, customerId, orderIds),
+    select: {
+      orderId: true,
+      productId: true,
+      variantId: true,
+      quantity: true,
+      orderedAt: true,
+    },
+    orderBy: { orderedAt: "asc" },
+  });
+
+  return { customerId, views, orders };
+}
+
+/**
+ * Remove a customer's identifiers from the analytics data
+ *
+ * Views and orders are kept as anonymous counts so product totals don't
+ * change; the customer and visitor IDs that tie them to the customer are
+ * cleared. Exports made for earlier data requests by the customer are
+ * deleted from the log too.
+ * @param {string} shop - Shop domain
+ * @param {Object} customer
+ * @param {string|null} customer.customerId - Numeric customer ID
+ * @param {Array<string>} customer.orderIds - Numeric order IDs
+ * @returns {Promise<Object>} Number of `views`, `orders` and `exports`
+ *   redacted
+ */
+export async function redactCustomerData(shop, { customerId, orderIds }) {
+  await flushViewBuffer();
+
+  const viewsWhere = await getCustomerViewsWhere(shop, customerId);
+  const [views, orders, exports] = await db.$transaction([
+    db.productViewEvent.updateMany({
+      where: viewsWhere,
+      data: { customerId: null, visitorId: null },
+    }),
+    db.productOrderEvent.updateMany({
+      where: getCustomerOrdersWhere(shop, customerId, orderIds),
+      data: { customerId: null },
+    }),
+    db.complianceRequest.updateMany({
+      where: {
+        shop,
+        // Without a customer ID there are no exports to match
+        customerId: customerId || "",
+        topic: COMPLIANCE_TOPICS.CUSTOMERS_DATA_REQUEST,
+        result: { not: null },
+      },
+      data: { result: null },
+    }),
+  ]);
+
+  return {
+    views: views.count,
+    orders: orders.count,
+    exports: exports.count,
+  };
+}
+
+/**
+ * Get a shop's compliance requests
+ * @param {string} shop - Shop domain
+ * @param {number} [limit] - Maximum number of requests
+ * @returns {Promise<Array>} ComplianceRequest records, newest first
+ */
+export async function getComplianceRequests(shop, limit = 50) {
+  return await db.complianceRequest.findMany({
+    where: { shop },
+    orderBy: { receivedAt: "desc" },
+    take: limit,
+  });
+}
+
+/**
+ * Get the stored export of a fulfilled data request
+ * @param {string} shop - Shop domain
+ * @param {number} requestId - ComplianceRequest ID
+ * @returns {Promise<string|null>} Export JSON, or null when the request
+ *   isn't a fulfilled data request of the shop or its export was redacted
+ */
+export async function getComplianceExport(shop, requestId) {
+  const request = await db.complianceRequest.findFirst({
+    where: {
+      id: requestId,
+      shop,
+      topic: COMPLIANCE_TOPICS.CUSTOMERS_DATA_REQUEST,
+      status: COMPLIANCE_STATUS.FULFILLED,
+    },
+  });
+  return request?.result || null;
+}
+
+/**
+ * Build the filter for a customer's view events, including those of the
+ * visitor IDs they were seen with
+ * @param {string} shop - Shop domain
+ * @param {string|null} customerId - Numeric customer ID
+ * @returns {Promise<Object>} Prisma where clause
+ */
+async function getCustomerViewsWhere(shop, customerId) {
+  if (!customerId) {
+    // An empty OR matches nothing
+    return { shop, OR: [] };
+  }
+
+  const visitors = await db.productViewEvent.groupBy({
+    by: ["visitorId"],
+    where: { shop, customerId, visitorId: { not: null } },
+  });
+
+  return {
+    shop,
+    OR: [
+      { customerId },
+      { visitorId: { in: visitors.map((visitor) => visitor.visitorId) } },
+    ],
+  };
+}
+
+/**
+ * Build the filter for a customer's order lines
+ * @param {string} shop - Shop domain
+ * @param {string|null} customerId - Numeric customer ID
+ * @param {Array<string>} orderIds - Numeric order IDs
+ * @returns {Object} Prisma where clause
+ */
+function getCustomerOrdersWhere(shop, customerId, orderIds) {
+  return {
+    shop,
+    OR: [
+      ...(customerId ? [{ customerId }] : []),
+      { orderId: { in: orderIds } },
+    ],
+  };
+}
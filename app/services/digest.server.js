@@ -0,0 +1,457 @@
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import {
+  compareViews,
+  getAnalyticsSummary,
+  getWeeklyAnalytics,
+} from "./analytics.server";
+import { sendMail } from "./mail.server";
+import { resolveProducts } from "./products.server";
+import { getUninstalledShops } from "./shop-lifecycle.server";
+import { getWeekStart, toDateKey } from "../utils/date-range";
+import { formatChange } from "../utils/view-change";
+
+// Products listed in each digest
+const DIGEST_TOP_PRODUCTS = 10;
+
+const MAX_RECIPIENTS = 10;
+
+const EMAIL_PATTERN = /^[^\s@,;<>]+@[^\s@,;<>]+\.[^\s@,;<>]+$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A failed scheduled digest is retried this much later, up to
+// MAX_DIGEST_ATTEMPTS times a week before waiting for the next week
+const DIGEST_RETRY_MS = 60 * 60 * 1000;
+const MAX_DIGEST_ATTEMPTS = 5;
+
+export const DIGEST_STATUS = {
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+/**
+ * Build the digest for the last full week (Monday to Sunday, UTC) before a
+ * date, compared with the week before it
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference date, the digest covers the week
+ *   before the one containing it
+ * @returns {Promise<Object>} `periodStart`, `periodEnd`, `totals`,
+ *   `summary` and `topProducts`
+ */
+export async function buildDigest(shop, { now = new Date() } = {}) {
+  const { periodStart, periodEnd } = getDigestPeriod(now);
+  const previousStart = new Date(periodStart.getTime() - 7 * DAY_MS);
+
+  const weeks = await getWeeklyAnalytics(shop, previousStart, periodEnd);
+  const emptyWeek = { products: [], totalViews: 0 };
+  const current =
+    weeks.find((week) => week.weekStart === toDateKey(periodStart)) ||
+    emptyWeek;
+  const previous =
+    weeks.find((week) => week.weekStart === toDateKey(previousStart)) ||
+    emptyWeek;
+
+  const previousViews = new Map(
+    previous.products.map((product) => [product.productId, product.viewCount])
+  );
+  const summary = await getAnalyticsSummary(shop, {
+    startDate: periodStart,
+    endDate: periodEnd,
+  });
+
+  return {
+    shop,
+    periodStart,
+    periodEnd,
+    totals: compareViews(current.totalViews, previous.totalViews),
+    summary,
+    topProducts: current.products
+      .slice(0, DIGEST_TOP_PRODUCTS)
+      .map((product) => ({
+        productId: product.productId,
+        ...compareViews(
+          product.viewCount,
+          previousViews.get(product.productId) || 0
+        ),
+      })),
+  };
+}
+
+/**
+ * Get the week a digest sent at a date covers
+ * @param {Date} now - Reference date
+ * @returns {Object} `periodStart` and `periodEnd` of the last full week
+ *   (Monday to Sunday, UTC) before the one containing the date
+ */
+function getDigestPeriod(now) {
+  const periodEnd = new Date(getWeekStart(now).getTime() - 1);
+  return { periodStart: getWeekStart(periodEnd), periodEnd };
+}
+
+/**
+ * Build, render and send a shop's digest, recording the attempt
+ *
+ * Failing to build the digest is recorded as a failed delivery too, just
+ * like failing to send it.
+ * @param {string} shop - Shop domain
+ * @param {Object} options
+ * @param {Array<string>} options.recipients - Addresses to send to
+ * @param {Date} [options.now] - Reference date for the digest week
+ * @returns {Promise<Object>} The DigestDelivery record
+ */
+export async function sendDigest(shop, { recipients, now = new Date() }) {
+  const { periodStart, periodEnd } = getDigestPeriod(now);
+
+  let result;
+  try {
+    const digest = await buildDigest(shop, { now });
+    const products = await resolveDigestProducts(shop, digest);
+    const { transport, messageId } = await sendMail({
+      to: recipients,
+      subject: `Product views for the week of ${formatDate(digest.periodStart)}`,
+      html: renderDigestHtml(digest, products),
+      text: renderDigestText(digest, products),
+    });
+    result = { transport, messageId, status: DIGEST_STATUS.SENT };
+  } catch (error) {
+    console.error(`Error sending digest for ${shop}:`, error);
+    result = {
+      transport: process.env.MAIL_TRANSPORT || "smtp",
+      status: DIGEST_STATUS.FAILED,
+      error: String(error.message || error).slice(0, 1000),
+    };
+  }
+
+  return await db.digestDelivery.create({
+    data: {
+      shop,
+      periodStart,
+      periodEnd,
+      recipients: recipients.join(", "),
+      ...result,
+    },
+  });
+}
+
+/**
+ * Get a shop's digest schedule, or the defaults when none is saved
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} Schedule settings
+ */
+export async function getDigestSchedule(shop) {
+  const schedule = await db.digestSchedule.findUnique({ where: { shop } });
+  return (
+    schedule || {
+      shop,
+      enabled: false,
+      recipients: "",
+      dayOfWeek: 1,
+      hour: 8,
+      nextRunAt: null,
+      lastSentAt: null,
+    }
+  );
+}
+
+/**
+ * Save a shop's digest schedule and work out its next run
+ * @param {string} shop - Shop domain
+ * @param {Object} settings - Schedule settings
+ * @param {boolean} settings.enabled - Whether digests are sent
+ * @param {Array<string>} settings.recipients - Validated addresses
+ * @param {number} settings.dayOfWeek - UTC day to send on, 0 is Sunday
+ * @param {number} settings.hour - UTC hour to send at
+ * @returns {Promise<Object>} The saved schedule
+ */
+export async function saveDigestSchedule(
+  shop,
+  { enabled, recipients, dayOfWeek, hour }
+) {
+  const data = {
+    enabled,
+    recipients: recipients.join(", "),
+    dayOfWeek,
+    hour,
+    nextRunAt: enabled ? getNextRunAt({ dayOfWeek, hour }, new Date()) : null,
+  };
+
+  return await db.digestSchedule.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Get a shop's most recent digest sends
+ * @param {string} shop - Shop domain
+ * @param {number} [limit] - Maximum number of deliveries
+ * @returns {Promise<Array>} DigestDelivery records, newest first
+ */
+export async function getDigestDeliveries(shop, limit = 20) {
+  return await db.digestDelivery.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+  });
+}
+
+/**
+ * Send every digest whose scheduled time has passed
+ *
+ * Each schedule is claimed by moving its next run forward before sending, so
+ * when several app instances run this at once only one of them sends. A
+ * digest that fails is retried an hour later, a few times at most, before
+ * the schedule waits for the next week. Shops that have uninstalled the app
+ * are skipped; their digests resume if they reinstall.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of digests attempted
+ */
+export async function runDueDigests(now = new Date()) {
+  const due = await db.digestSchedule.findMany({
+    where: {
+      enabled: true,
+      nextRunAt: { lte: now },
+      shop: { notIn: await getUninstalledShops() },
+    },
+  });
+
+  let attempted = 0;
+  for (const schedule of due) {
+    const claimed = await db.digestSchedule.updateMany({
+      where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+      data: { nextRunAt: getNextRunAt(schedule, now) },
+    });
+    if (claimed.count === 0) continue;
+
+    const delivery = await sendDigest(schedule.shop, {
+      recipients: parseRecipients(schedule.recipients).recipients,
+      now,
+    });
+    if (delivery.status === DIGEST_STATUS.SENT) {
+      await db.digestSchedule.update({
+        where: { id: schedule.id },
+        data: { lastSentAt: delivery.createdAt },
+      });
+    } else {
+      const failedAttempts = await db.digestDelivery.count({
+        where: {
+          shop: schedule.shop,
+          periodStart: delivery.periodStart,
+          status: DIGEST_STATUS.FAILED,
+        },
+      });
+      if (failedAttempts < MAX_DIGEST_ATTEMPTS) {
+        await db.digestSchedule.update({
+          where: { id: schedule.id },
+          data: { nextRunAt: new Date(now.getTime() + DIGEST_RETRY_MS) },
+        });
+      }
+    }
+    attempted += 1;
+  }
+
+  return attempted;
+}
+
+/**
+ * Get the next time a schedule is due after a date
+ * @param {Object} schedule - Schedule with dayOfWeek (0 is Sunday) and hour,
+ *   both UTC
+ * @param {Date} after - Date the next run must come after
+ * @returns {Date} Next run time
+ */
+export function getNextRunAt({ dayOfWeek, hour }, after) {
+  const next = new Date(after);
+  next.setUTCHours(hour, 0, 0, 0);
+  next.setUTCDate(next.getUTCDate() + ((dayOfWeek - next.getUTCDay() + 7) % 7));
+  if (next <= after) {
+    next.setUTCDate(next.getUTCDate() + 7);
+  }
+  return next;
+}
+
+/**
+ * Split and validate a recipient list
+ * @param {string} value - Addresses separated by commas, semicolons or
+ *   whitespace
+ * @returns {Object} `recipients` and, when invalid, an `error` message
+ */
+export function parseRecipients(value) {
+  const recipients = [
+    ...new Set(
+      String(value || "")
+        .split(/[\s,;]+/)
+        .filter(Boolean)
+    ),
+  ];
+
+  const invalid = recipients.find((address) => !EMAIL_PATTERN.test(address));
+  if (invalid) {
+    return { recipients, error: `${invalid} is not a valid email address` };
+  }
+  if (recipients.length > MAX_RECIPIENTS) {
+    return {
+      recipients,
+      error: `At most ${MAX_RECIPIENTS} recipients are allowed`,
+    };
+  }
+  return { recipients };
+}
+
+/**
+ * Render a digest as an HTML email
+ * @param {Object} digest - Digest from buildDigest
+ * @param {Object} products - Product details keyed by product ID
+ * @returns {string} HTML document
+ */
+export function renderDigestHtml(digest, products) {
+  const cell = "padding:6px 12px;border-bottom:1px solid #e1e3e5;";
+  const rows = digest.topProducts
+    .map(
+      (product) => `
+        <tr>
+          <td style="${cell}">${escapeHtml(productName(product.productId, products))}</td>
+          <td style="${cell}text-align:right;">${product.currentViews}</td>
+          <td style="${cell}text-align:right;color:${changeColor(product.change)};">${escapeHtml(formatChange(product))}</td>
+        </tr>`
+    )
+    .join("");
+
+  const stat = (label, value) => `
+        <td style="padding:0 24px 0 0;">
+          <div style="color:#6d7175;font-size:13px;">${escapeHtml(label)}</div>
+          <div style="font-size:22px;font-weight:600;">${escapeHtml(String(value))}</div>
+        </td>`;
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#202223;">
+    <h1 style="font-size:20px;">Product views for ${escapeHtml(digest.shop)}</h1>
+    <p style="color:#6d7175;">${formatDate(digest.periodStart)} to ${formatDate(digest.periodEnd)}</p>
+    <table role="presentation" style="margin:16px 0;">
+      <tr>${stat("Total views", digest.totals.currentViews)}${stat("Change", formatChange(digest.totals))}${stat("Unique viewers", digest.summary.uniqueViewers)}${stat("Products viewed", digest.summary.totalProducts)}</tr>
+    </table>
+    <h2 style="font-size:16px;">Top products</h2>
+    ${
+      digest.topProducts.length === 0
+        ? `<p style="color:#6d7175;">No product views were recorded this week.</p>`
+        : `<table style="border-collapse:collapse;">
+      <tr>
+        <th style="${cell}text-align:left;">Product</th>
+        <th style="${cell}text-align:right;">Views</th>
+        <th style="${cell}text-align:right;">Change</th>
+      </tr>${rows}
+    </table>`
+    }
+  </body>
+</html>
+`;
+}
+
+/**
+ * Render a digest as a plain-text email
+ * @param {Object} digest - Digest from buildDigest
+ * @param {Object} products - Product details keyed by product ID
+ * @returns {string} Plain-text body
+ */
+export function renderDigestText(digest, products) {
+  const lines = [
+    `Product views for ${digest.shop}`,
+    `${formatDate(digest.periodStart)} to ${formatDate(digest.periodEnd)}`,
+    "",
+    `Total views: ${digest.totals.currentViews}, ${formatChange(digest.totals)}`,
+    `Unique viewers: ${digest.summary.uniqueViewers}`,
+    `Products viewed: ${digest.summary.totalProducts}`,
+    "",
+    "Top products",
+  ];
+
+  if (digest.topProducts.length === 0) {
+    lines.push("No product views were recorded this week.");
+  }
+  digest.topProducts.forEach((product, index) => {
+    lines.push(
+      `${index + 1}. ${productName(product.productId, products)}: ${product.currentViews} ${product.currentViews === 1 ? "view" : "views"}, ${formatChange(product)}`
+    );
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Look up titles for the products in a digest. The digest runs outside any
+ * admin request, so this uses the shop's offline session; on failure the
+ * digest falls back to product IDs.
+ * @param {string} shop - Shop domain
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {Promise<Object>} Product details keyed by product ID
+ */
+async function resolveDigestProducts(shop, digest) {
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    return await resolveProducts(
+      admin,
+      shop,
+      digest.topProducts.map((product) => product.productId)
+    );
+  } catch (error) {
+    console.error(`Error loading products for the ${shop} digest:`, error);
+    return {};
+  }
+}
+
+/**
+ * Text color for a change: green for growth, red for decline
+ * @param {number} change - Change in views
+ * @returns {string} CSS color
+ */
+function changeColor(change) {
+  if (change > 0) return "#008060";
+  if (change < 0) return "#d72c0d";
+  return "#6d7175";
+}
+
+/**
+ * Display name for a product, falling back to its ID
+ * @param {string} productId - Numeric product ID
+ * @param {Object} products - Product details keyed by product ID
+ * @returns {string} Product name
+ */
+function productName(productId, products) {
+  const product = products[productId];
+  if (product?.deleted) {
+    return `${product.title || `Product ${productId}`} (deleted)`;
+  }
+  return product?.title || `Product ${productId}`;
+}
+
+/**
+ * Format a date as e.g. "Oct 12, 2026" (UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
@@ -0,0 +1,355 @@
+import crypto from "node:crypto";
+import db from "../db.server";
+import { resolveProducts, resolveProductSearch } from "./products.server";
+import {
+  getProductSearchWhere,
+  getUniqueViewerCounts,
+  getViewCountsByProduct,
+} from "./analytics.server";
+import {
+  getNextPeriodStart,
+  getPeriodStart,
+  toDateKey,
+} from "../utils/date-range";
+
+// Rows read from the database per page. Each page is serialized and handed
+// to the response before the next one is read, so memory use depends on
+// this rather than on the size of the shop.
+const EXPORT_PAGE_SIZE = 1000;
+
+// Columns that need product details from the Admin API
+const PRODUCT_DETAIL_COLUMNS = ["title", "handle", "status"];
+
+// How long a download link works after the Export button asks for it
+const DOWNLOAD_LINK_TTL_MS = 60 * 1000;
+
+/**
+ * Export one analytics dataset as a downloadable file
+ *
+ * The body is streamed: rows are read a page at a time with cursor
+ * pagination and written out as they arrive.
+ * @param {Object} admin - Admin API context, used to resolve product titles
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Object} options - Export options from parseExportOptions
+ * @returns {Promise<Response>} File download response
+ */
+export async function exportAnalytics(admin, shop, options) {
+  const { dataset, format, columns, bom, range, q } = options;
+
+  const pages =
+    dataset === "periods"
+      ? getPeriodPages(shop, range)
+      : getProductPages(shop, range, await resolveProductSearch(admin, q));
+  const includeDetails = columns.some((column) =>
+    PRODUCT_DETAIL_COLUMNS.includes(column.key)
+  );
+  const serializer = createSerializer(format.value, columns, { bom });
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(serializer.start()));
+    },
+    async pull(controller) {
+      try {
+        const { value: rows, done } = await pages.next();
+        if (done) {
+          controller.enqueue(encoder.encode(serializer.end()));
+          controller.close();
+          return;
+        }
+
+        if (includeDetails) {
+          await addProductDetails(admin, shop, rows);
+        }
+        controller.enqueue(encoder.encode(serializer.write(rows)));
+      } catch (error) {
+        // Headers are already sent, so the client sees a truncated download
+        console.error("Error streaming analytics export:", error);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await pages.return();
+    },
+  });
+
+  const filename = `product-analytics-${dataset}-${range.start}-to-${range.end}.${format.extension}`;
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      "Content-Type": `${format.contentType}; charset=utf-8`,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  });
+}
+
+/**
+ * Create a short-lived link that downloads an export without a session
+ * token
+ *
+ * Embedded pages can only reach /app routes through fetch, which would hold
+ * the whole file in browser memory before saving it. The browser opens this
+ * link itself instead, so the file streams straight to disk. The link is
+ * signed with the app secret and names the shop, so it can't be altered to
+ * read another shop's data.
+ * @param {string} shop - Shop domain
+ * @param {URLSearchParams} searchParams - Export params, see
+ *   parseExportOptions
+ * @param {Date} [now] - Current time
+ * @returns {string} Path of the download route with its signed params
+ */
+export function createDownloadLink(shop, searchParams, now = new Date()) {
+  const params = new URLSearchParams(searchParams);
+  params.delete("signature");
+  params.set("shop", shop);
+  params.set("expires", String(now.getTime() + DOWNLOAD_LINK_TTL_MS));
+  params.sort();
+  params.set("signature", signDownloadParams(params));
+  return `/export/download?${params}`;
+}
+
+/**
+ * Check a download link from createDownloadLink
+ * @param {URLSearchParams} searchParams - Params of the download request
+ * @param {Date} [now] - Current time
+ * @returns {string|null} Shop the link was made for, or null when the link
+ *   was altered or has expired
+ */
+export function verifyDownloadLink(searchParams, now = new Date()) {
+  const params = new URLSearchParams(searchParams);
+  const signature = Buffer.from(params.get("signature") || "");
+  params.delete("signature");
+  params.sort();
+  const expected = Buffer.from(signDownloadParams(params));
+
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(signature, expected) ||
+    Number(params.get("expires")) < now.getTime()
+  ) {
+    return null;
+  }
+  return params.get("shop");
+}
+
+/**
+ * Sign download link params with the app secret
+ * @param {URLSearchParams} params - Sorted params, without the signature
+ * @returns {string} Hex HMAC-SHA256 digest
+ */
+function signDownloadParams(params) {
+  return crypto
+    .createHmac("sha256", process.env.SHOPIFY_API_SECRET || "")
+    .update(params.toString())
+    .digest("hex");
+}
+
+/**
+ * Create an incremental serializer for an export format. `start` returns
+ * the header or opening bracket, `write` one page of rows and `end` whatever
+ * closes the document.
+ *
+ * CSV follows RFC 4180: CRLF line endings, and any field holding a comma,
+ * quote or line break is quoted with its quotes doubled. The optional byte
+ * order mark makes Excel read the file as UTF-8.
+ * @param {string} format - "csv", "json" or "ndjson"
+ * @param {Array<Object>} columns - Columns to include, in order
+ * @param {Object} options
+ * @param {boolean} options.bom - Prefix CSV output with a byte order mark
+ * @returns {Object} Serializer with start, write and end methods
+ */
+function createSerializer(format, columns, { bom }) {
+  if (format === "csv") {
+    const toLine = (fields) => `${fields.map(escapeCSVField).join(",")}\r\n`;
+    return {
+      start: () =>
+        (bom ? "\uFEFF" : "") + toLine(columns.map((column) => column.label)),
+      write: (rows) =>
+        rows
+          .map((row) => {
+            const record = pickColumns(row, columns);
+            return toLine(columns.map((column) => record[column.key]));
+          })
+          .join(""),
+      end: () => "",
+    };
+  }
+
+  if (format === "ndjson") {
+    return {
+      start: () => "",
+      write: (rows) =>
+        rows
+          .map((row) => `${JSON.stringify(pickColumns(row, columns))}\n`)
+          .join(""),
+      end: () => "",
+    };
+  }
+
+  let written = 0;
+  return {
+    start: () => "[",
+    write: (rows) =>
+      rows
+        .map((row) => {
+          const prefix = written++ === 0 ? "\n  " : ",\n  ";
+          return prefix + JSON.stringify(pickColumns(row, columns));
+        })
+        .join(""),
+    end: () => (written === 0 ? "]\n" : "\n]\n"),
+  };
+}
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value - Field value; null and undefined become empty fields
+ * @returns {string} Escaped field
+ */
+function escapeCSVField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Keep the selected columns of a row, with dates as ISO strings
+ * @param {Object} row - Row keyed by column key
+ * @param {Array<Object>} columns - Columns to keep, in order
+ * @returns {Object} Record with one entry per column
+ */
+function pickColumns(row, columns) {
+  const record = {};
+  columns.forEach(({ key }) => {
+    const value = row[key];
+    record[key] = value instanceof Date ? value.toISOString() : value ?? null;
+  });
+  return record;
+}
+
+/**
+ * Fill in title, handle and status on a page of rows
+ * @param {Object} admin - Admin API context for the shop
+ * @param {string} shop - Shop domain
+ * @param {Array<Object>} rows - Rows with productId, updated in place
+ */
+async function addProductDetails(admin, shop, rows) {
+  const products = await resolveProducts(
+    admin,
+    shop,
+    rows.map((row) => row.productId),
+    { cache: false }
+  );
+
+  rows.forEach((row) => {
+    const product = products[row.productId];
+    row.title = product?.title ?? null;
+    row.handle = product?.handle ?? null;
+    row.status = product?.deleted ? "DELETED" : product?.status ?? null;
+  });
+}
+
+/**
+ * Pages of the product views dataset: all-time totals per product, with the
+ * views logged in the selected range alongside
+ *
+ * Products come in the order they were first seen. Ordering by views would
+ * let rows move across page boundaries while new views arrive mid-export.
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Object} range - Date range from parseDateRange
+ * @param {Object|null} search - Product search from resolveProductSearch
+ * @returns {AsyncGenerator<Array<Object>>} Pages of rows
+ */
+async function* getProductPages(shop, range, search) {
+  let cursor;
+
+  while (true) {
+    const analytics = await db.productAnalytics.findMany({
+      where: { shop, ...getProductSearchWhere(search) },
+      orderBy: { id: "asc" },
+      take: EXPORT_PAGE_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    if (analytics.length === 0) return;
+
+    const productIds = analytics.map((item) => item.productId);
+    const periodViews = await getViewCountsByProduct(
+      shop,
+      range.startDate,
+      range.endDate,
+      productIds
+    );
+    const periodViewsByProduct = new Map(
+      periodViews.map((item) => [item.productId, item.viewCount])
+    );
+    const uniqueViewers = await getUniqueViewerCounts(shop, { productIds });
+
+    yield analytics.map((item) => ({
+      productId: item.productId,
+      viewCount: item.viewCount,
+      periodViews: periodViewsByProduct.get(item.productId) || 0,
+      uniqueViewers: uniqueViewers[item.productId] || 0,
+      lastViewedAt: item.lastViewedAt,
+      createdAt: item.createdAt,
+    }));
+
+    if (analytics.length < EXPORT_PAGE_SIZE) return;
+    cursor = analytics[analytics.length - 1].id;
+  }
+}
+
+/**
+ * Pages of the views by period dataset, one row per product and period with
+ * views. Periods run newest first, matching the breakdown on the weekly
+ * analytics page; within a period products are ordered by ID so the view
+ * counts can be aggregated in the database a page at a time.
+ * @param {string} shop - Shop domain to scope analytics to
+ * @param {Object} range - Date range from parseDateRange
+ * @returns {AsyncGenerator<Array<Object>>} Pages of rows
+ */
+async function* getPeriodPages(shop, { startDate, endDate, granularity }) {
+  const periodStarts = [];
+  for (
+    let periodStart = getPeriodStart(startDate, granularity);
+    periodStart <= endDate;
+    periodStart = getNextPeriodStart(periodStart, granularity)
+  ) {
+    periodStarts.push(periodStart);
+  }
+
+  for (const periodStart of periodStarts.reverse()) {
+    const nextStart = getNextPeriodStart(periodStart, granularity);
+    const viewedAt = {
+      gte: periodStart < startDate ? startDate : periodStart,
+      lt: nextStart,
+      lte: endDate,
+    };
+    let afterProductId;
+
+    while (true) {
+      const groups = await db.productViewEvent.groupBy({
+        by: ["productId"],
+        where: {
+          shop,
+          viewedAt,
+          ...(afterProductId ? { productId: { gt: afterProductId } } : {}),
+        },
+        _count: { _all: true },
+        _max: { viewedAt: true },
+        orderBy: { productId: "asc" },
+        take: EXPORT_PAGE_SIZE,
+      });
+      if (groups.length === 0) break;
+
+      yield groups.map((group) => ({
+        periodStart: toDateKey(periodStart),
+        productId: group.productId,
+        viewCount: group._count._all,
+        lastViewedAt: group._max.viewedAt,
+      }));
+
+      if (groups.length < EXPORT_PAGE_SIZE) break;
+      afterProductId = groups[groups.length - 1].productId;
+    }
+  }
+}
@@ -0,0 +1,71 @@
+import { runDueDigests } from "./digest.server";
+import { runStockAlertChecks } from "./stock-alerts.server";
+import { runShopPurges } from "./shop-lifecycle.server";
+import { runWebhookDeliveries } from "./outbound-webhooks.server";
+import { runMetafieldSyncs } from "./metafield-sync.server";
+
+// Background jobs run inside the app process on fixed intervals. A run that
+// is still going when the next tick comes is left to finish rather than
+// started again. Set DISABLE_SCHEDULED_JOBS=true on instances that should
+// only serve requests.
+const JOBS = [
+  {
+    name: "weekly-digest",
+    intervalMs: 60 * 1000,
+    run: runDueDigests,
+  },
+  {
+    name: "stock-alerts",
+    intervalMs: 5 * 60 * 1000,
+    run: runStockAlertChecks,
+  },
+  {
+    name: "uninstalled-shop-purge",
+    intervalMs: 60 * 60 * 1000,
+    run: runShopPurges,
+  },
+  {
+    name: "webhook-deliveries",
+    intervalMs: 30 * 1000,
+    run: runWebhookDeliveries,
+  },
+  {
+    name: "metafield-sync",
+    intervalMs: 5 * 60 * 1000,
+    run: runMetafieldSyncs,
+  },
+];
+
+/**
+ * Start the scheduled jobs once per process
+ */
+export function startScheduledJobs() {
+  if (process.env.DISABLE_SCHEDULED_JOBS === "true") return;
+  // Dev server reloads re-run this module; keep a single set of timers
+  if (global.scheduledJobsStarted) return;
+  global.scheduledJobsStarted = true;
+
+  JOBS.forEach(scheduleJob);
+}
+
+/**
+ * Run a job on its interval without overlapping runs
+ * @param {Object} job - Job with name, intervalMs and an async run function
+ */
+function scheduleJob({ name, intervalMs, run }) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run(new Date());
+    } catch (error) {
+      console.error(`Scheduled job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  // Jobs alone shouldn't keep the process alive
+  timer.unref();
+}
@@ -0,0 +1,341 @@
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { getViewCountsByProduct } from "./analytics.server";
+import { getUninstalledShops } from "./shop-lifecycle.server";
+
+// App-owned, so only this app can write the values. Themes read them as
+// product.metafields.app--<app id>--analytics.views and .views_7d
+export const METAFIELD_NAMESPACE = "$app:analytics";
+const VIEWS_KEY = "views";
+const RECENT_VIEWS_KEY = "views_7d";
+
+const METAFIELD_DEFINITIONS = [
+  {
+    key: VIEWS_KEY,
+    name: "Product views",
+    description: "Total views counted by the analytics app",
+  },
+  {
+    key: RECENT_VIEWS_KEY,
+    name: "Product views (7 days)",
+    description: "Views over the last 7 days counted by the analytics app",
+  },
+];
+const RECENT_DAYS = 7;
+
+// metafieldsSet takes at most 25 metafields per call, two per product
+const METAFIELDS_PER_REQUEST = 25;
+const PRODUCTS_PER_REQUEST = Math.floor(METAFIELDS_PER_REQUEST / 2);
+
+// Products written per shop per run; the rest follow on the next run
+const MAX_PRODUCTS_PER_RUN = 600;
+
+const SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Write changed view counts to a shop's product metafields
+ *
+ * A product is written when its total or last-7-days views differ from what
+ * was last written, so a run only costs API calls for products that
+ * changed. Products known to be deleted are skipped. Writes are spread over
+ * the Admin API's cost budget: before each call the run waits until the
+ * budget left after the previous call covers another one.
+ * @param {Object} admin - Admin API context for the shop
+ * @param {string} shop - Shop domain
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Number of products `written` and `remaining`
+ *   for the next run
+ */
+export async function syncProductMetafields(admin, shop, now = new Date()) {
+  const fields = db.productAnalytics.fields;
+  const candidates = await db.productAnalytics.findMany({
+    where: {
+      shop,
+      OR: [
+        { metafieldViews: null },
+        { viewCount: { not: fields.metafieldViews } },
+        // The recent count drops as views age out of the window
+        { metafieldRecentViews: { gt: 0 } },
+      ],
+    },
+    select: {
+      id: true,
+      productId: true,
+      viewCount: true,
+      metafieldViews: true,
+      metafieldRecentViews: true,
+    },
+    orderBy: { id: "asc" },
+  });
+  if (candidates.length === 0) return { written: 0, remaining: 0 };
+
+  const recentViews = new Map(
+    (
+      await getViewCountsByProduct(
+        shop,
+        new Date(now.getTime() - RECENT_DAYS * DAY_MS),
+        now
+      )
+    ).map((group) => [group.productId, group.viewCount])
+  );
+  const deletedIds = new Set(
+    (
+      await db.productMetadata.findMany({
+        where: { shop, archivedAt: { not: null } },
+        select: { productId: true },
+      })
+    ).map((metadata) => metadata.productId)
+  );
+
+  const changed = candidates
+    .filter((product) => !deletedIds.has(product.productId))
+    .map((product) => ({
+      ...product,
+      recentViews: recentViews.get(product.productId) || 0,
+    }))
+    .filter(
+      (product) =>
+        product.viewCount !== product.metafieldViews ||
+        product.recentViews !== product.metafieldRecentViews
+    );
+  const products = changed.slice(0, MAX_PRODUCTS_PER_RUN);
+
+  let written = 0;
+  let cost = null;
+  for (let i = 0; i < products.length; i += PRODUCTS_PER_REQUEST) {
+    await waitForCost(cost);
+    const result = await setViewMetafields(
+      admin,
+      products.slice(i, i + PRODUCTS_PER_REQUEST)
+    );
+    cost = result.cost;
+
+    await db.$transaction(
+      result.written.map((product) =>
+        db.productAnalytics.update({
+          where: { id: product.id },
+          data: {
+            metafieldViews: product.viewCount,
+            metafieldRecentViews: product.recentViews,
+            metafieldsSyncedAt: now,
+          },
+        })
+      )
+    );
+    written += result.written.length;
+  }
+
+  return { written, remaining: changed.length - products.length };
+}
+
+/**
+ * Sync the metafields of every shop not synced within the interval
+ *
+ * Shops are picked up once they have tracked products and skipped while
+ * uninstalled. The metafield definitions are created on a shop's first
+ * run. Each shop is claimed by moving its run time forward before
+ * syncing, so when several app instances run this at once only one of them
+ * syncs it. A shop with more changes than one run writes is due again on
+ * the next tick instead of after the interval.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of shops synced
+ */
+export async function runMetafieldSyncs(now = new Date()) {
+  const shops = await db.productAnalytics.groupBy({
+    by: ["shop"],
+    where: { shop: { notIn: await getUninstalledShops() } },
+  });
+
+  let synced = 0;
+  for (const { shop } of shops) {
+    const state = await db.metafieldSyncState.upsert({
+      where: { shop },
+      create: { shop },
+      update: {},
+    });
+    if (state.lastRunAt && now - state.lastRunAt < SYNC_INTERVAL_MS) continue;
+
+    const claimed = await db.metafieldSyncState.updateMany({
+      where: { id: state.id, lastRunAt: state.lastRunAt },
+      data: { lastRunAt: now },
+    });
+    if (claimed.count === 0) continue;
+
+    try {
+      const { admin } = await unauthenticated.admin(shop);
+      if (!state.definitionsCreatedAt) {
+        await createMetafieldDefinitions(admin);
+        await db.metafieldSyncState.update({
+          where: { id: state.id },
+          data: { definitionsCreatedAt: now },
+        });
+      }
+      const { written, remaining } = await syncProductMetafields(
+        admin,
+        shop,
+        now
+      );
+      await db.metafieldSyncState.update({
+        where: { id: state.id },
+        data: {
+          lastSuccessAt: now,
+          productsSynced: { increment: written },
+          lastError: null,
+          ...(remaining > 0 ? { lastRunAt: null } : {}),
+        },
+      });
+      synced += 1;
+    } catch (error) {
+      console.error(`Error syncing metafields for ${shop}:`, error);
+      await db.metafieldSyncState.update({
+        where: { id: state.id },
+        data: { lastError: error.message },
+      });
+    }
+  }
+
+  return synced;
+}
+
+/**
+ * Create the definitions of the view count metafields, which give them a
+ * name and type in the admin and make them readable from the storefront
+ *
+ * A definition that already exists, e.g. from an earlier install, is left
+ * as it is.
+ * @param {Object} admin - Admin API context for the shop
+ * @returns {Promise<void>}
+ * @throws {Error} When Shopify rejects a definition
+ */
+async function createMetafieldDefinitions(admin) {
+  for (const definition of METAFIELD_DEFINITIONS) {
+    const response = await admin.graphql(
+      `#graphql
+      mutation createViewMetafieldDefinition(
+        $definition: MetafieldDefinitionInput!
+      ) {
+        metafieldDefinitionCreate(definition: $definition) {
+          userErrors {
+            field
+            message
+            code
+          }
+        }
+      }`,
+      {
+        variables: {
+          definition: {
+            ...definition,
+            namespace: METAFIELD_NAMESPACE,
+            type: "number_integer",
+            ownerType: "PRODUCT",
+            access: { storefront: "PUBLIC_READ" },
+          },
+        },
+      }
+    );
+
+    const responseJson = await response.json();
+    const userErrors = (
+      responseJson.data?.metafieldDefinitionCreate?.userErrors || []
+    ).filter((error) => error.code !== "TAKEN");
+    if (userErrors.length > 0) {
+      throw new Error(
+        `Metafield definition ${definition.key} rejected: ${userErrors
+          .map((error) => error.message)
+          .join(", ")}`
+      );
+    }
+  }
+}
+
+/**
+ * Write one batch of products' view counts with metafieldsSet
+ *
+ * metafieldsSet writes all or nothing, so when some products are rejected,
+ * e.g. because they were deleted, the batch is written again without them.
+ * @param {Object} admin - Admin API context for the shop
+ * @param {Array<Object>} products - Up to PRODUCTS_PER_REQUEST products with
+ *   productId, viewCount and recentViews
+ * @param {boolean} [retry] - Whether rejected products may be dropped and
+ *   the rest retried
+ * @returns {Promise<Object>} Products `written` and the query `cost`
+ *   reported by the API
+ */
+async function setViewMetafields(admin, products, retry = true) {
+  const response = await admin.graphql(
+    `#graphql
+    mutation setViewMetafields($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        metafields: products.flatMap((product) => {
+          const ownerId = `gid://shopify/Product/${product.productId}`;
+          return [
+            {
+              ownerId,
+              namespace: METAFIELD_NAMESPACE,
+              key: VIEWS_KEY,
+              type: "number_integer",
+              value: String(product.viewCount),
+            },
+            {
+              ownerId,
+              namespace: METAFIELD_NAMESPACE,
+              key: RECENT_VIEWS_KEY,
+              type: "number_integer",
+              value: String(product.recentViews),
+            },
+          ];
+        }),
+      },
+    }
+  );
+
+  const responseJson = await response.json();
+  const cost = responseJson.extensions?.cost || null;
+  const userErrors = responseJson.data?.metafieldsSet?.userErrors || [];
+  if (userErrors.length === 0) {
+    return { written: products, cost };
+  }
+
+  // Errors point at the input, e.g. ["metafields", "3", "ownerId"]
+  const rejected = new Set(
+    userErrors
+      .map((error) => products[Math.floor(Number(error.field?.[1]) / 2)])
+      .filter(Boolean)
+  );
+  console.error("Metafields rejected:", userErrors);
+
+  const rest = products.filter((product) => !rejected.has(product));
+  if (!retry || rejected.size === 0 || rest.length === 0) {
+    return { written: [], cost };
+  }
+  await waitForCost(cost);
+  return await setViewMetafields(admin, rest, false);
+}
+
+/**
+ * Wait until the shop's API cost budget covers another call like the last
+ * @param {Object|null} cost - `extensions.cost` of the previous response
+ * @returns {Promise<void>}
+ */
+async function waitForCost(cost) {
+  if (!cost?.throttleStatus) return;
+
+  const { currentlyAvailable, restoreRate } = cost.throttleStatus;
+  const shortfall = cost.requestedQueryCost - currentlyAvailable;
+  if (shortfall > 0 && restoreRate > 0) {
+    await new Promise((resolve) =>
+      setTimeout(resolve, Math.ceil((shortfall / restoreRate) * 1000))
+    );
+  }
+}
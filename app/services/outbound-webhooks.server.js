@@ -0,0 +1,553 @@
+import crypto from "node:crypto";
+import dns from "node:dns";
+import net from "node:net";
+import { Agent, fetch } from "undici";
+import db from "../db.server";
+import { getUninstalledShops } from "./shop-lifecycle.server";
+import { getWeekStart, toDateKey } from "../utils/date-range";
+
+export const WEBHOOK_RULE_KINDS = {
+  TOTAL_VIEWS: "total_views",
+  WEEKLY_GROWTH: "weekly_growth",
+};
+
+export const DELIVERY_STATUS = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+};
+
+// Event names sent in the payload, per rule kind
+const RULE_EVENTS = {
+  total_views: "product.views_threshold",
+  weekly_growth: "product.views_growth",
+};
+
+// Attempts before a delivery is given up on. Retries back off from
+// RETRY_BASE_MS, doubling each time: 30s, 1m, 2m, 4m, 8m.
+const MAX_DELIVERY_ATTEMPTS = 6;
+const RETRY_BASE_MS = 30 * 1000;
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// A claimed delivery whose instance stopped mid-send is picked up again
+// after this long
+const DELIVERY_CLAIM_MS = 60 * 1000;
+
+// Deliveries sent per job run, so a backlog can't hold up the job
+const DELIVERY_BATCH_SIZE = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// Addresses endpoints must not resolve to, so a rule can't be pointed at
+// the app's own network: loopback, private, link-local (which includes the
+// cloud metadata service at 169.254.169.254), shared, reserved and multicast
+// ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+/**
+ * Get a shop's webhook rules
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array>} WebhookRule records, oldest first
+ */
+export async function getWebhookRules(shop) {
+  return await db.webhookRule.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * Create a webhook rule with a new signing secret
+ * @param {string} shop - Shop domain
+ * @param {Object} rule - Validated rule fields: name, kind, threshold,
+ *   minViews and endpointUrl
+ * @returns {Promise<Object>} The WebhookRule record
+ */
+export async function createWebhookRule(shop, rule) {
+  return await db.webhookRule.create({
+    data: {
+      ...rule,
+      shop,
+      secret: crypto.randomBytes(24).toString("hex"),
+    },
+  });
+}
+
+/**
+ * Turn one of a shop's webhook rules on or off
+ * @param {string} shop - Shop domain
+ * @param {number} ruleId - WebhookRule ID
+ * @param {boolean} enabled - Whether the rule should fire
+ * @returns {Promise<boolean>} Whether the rule was found
+ */
+export async function setWebhookRuleEnabled(shop, ruleId, enabled) {
+  const { count } = await db.webhookRule.updateMany({
+    where: { id: ruleId, shop },
+    data: { enabled },
+  });
+  return count > 0;
+}
+
+/**
+ * Delete one of a shop's webhook rules along with its deliveries
+ * @param {string} shop - Shop domain
+ * @param {number} ruleId - WebhookRule ID
+ * @returns {Promise<boolean>} Whether the rule was found
+ */
+export async function deleteWebhookRule(shop, ruleId) {
+  const [, rules] = await db.$transaction([
+    db.webhookDelivery.deleteMany({ where: { ruleId, shop } }),
+    db.webhookRule.deleteMany({ where: { id: ruleId, shop } }),
+  ]);
+  return rules.count > 0;
+}
+
+/**
+ * Check a webhook endpoint URL
+ *
+ * Endpoints must use HTTPS and resolve to public addresses only. Plain HTTP
+ * is accepted for localhost outside production, so a local receiver can be
+ * used for testing.
+ * @param {string} value - URL entered by the merchant
+ * @returns {Promise<Object>} `endpointUrl` or an `error` message
+ */
+export async function parseEndpointUrl(value) {
+  let url;
+  try {
+    url = new URL((value || "").trim());
+  } catch {
+    return { error: "Enter the endpoint as a full URL" };
+  }
+
+  if (url.protocol !== "https:" && !isLocalEndpoint(url)) {
+    return { error: "Endpoint must use https" };
+  }
+  if (url.username || url.password) {
+    return { error: "Endpoint must not contain credentials" };
+  }
+
+  const { error } = await resolveEndpoint(url);
+  if (error) {
+    return { error };
+  }
+
+  return { endpointUrl: url.toString() };
+}
+
+/**
+ * Check a shop's enabled rules against the products whose views were just
+ * counted, queueing a delivery for each match
+ *
+ * Called by the view buffer after each flush. Total views rules match when
+ * the flush took a product from below the threshold to at or above it.
+ * Weekly growth rules compare the last 7 days with the 7 days before and
+ * match when views grew by the factor from a week that had views, and
+ * reached the rule's minimum; each product matches at most once per
+ * calendar week.
+ * @param {string} shop - Shop domain
+ * @param {Array<Object>} products - `productId`, the new total `viewCount`
+ *   and the number of views `added` by the flush
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of matches, counting those that were
+ *   already queued
+ */
+export async function evaluateViewRules(shop, products, now = new Date()) {
+  if (products.length === 0) return 0;
+
+  const rules = await db.webhookRule.findMany({
+    where: { shop, enabled: true },
+  });
+  if (rules.length === 0) return 0;
+
+  const matches = [];
+  rules
+    .filter((rule) => rule.kind === WEBHOOK_RULE_KINDS.TOTAL_VIEWS)
+    .forEach((rule) => {
+      products
+        .filter(
+          (product) =>
+            product.viewCount >= rule.threshold &&
+            product.viewCount - product.added < rule.threshold
+        )
+        .forEach((product) => {
+          matches.push({
+            rule,
+            productId: product.productId,
+            eventKey: `total_views:${rule.threshold}`,
+            data: { totalViews: product.viewCount },
+          });
+        });
+    });
+
+  const growthRules = rules.filter(
+    (rule) => rule.kind === WEBHOOK_RULE_KINDS.WEEKLY_GROWTH
+  );
+  if (growthRules.length > 0) {
+    const weeklyViews = await getWeeklyViews(
+      shop,
+      products.map((product) => product.productId),
+      now
+    );
+    const weekKey = toDateKey(getWeekStart(now));
+
+    growthRules.forEach((rule) => {
+      products.forEach((product) => {
+        const { current, previous } = weeklyViews.get(product.productId);
+        if (
+          previous > 0 &&
+          current >= rule.minViews &&
+          current >= previous * rule.threshold
+        ) {
+          matches.push({
+            rule,
+            productId: product.productId,
+            eventKey: `weekly_growth:${weekKey}`,
+            data: {
+              totalViews: product.viewCount,
+              weeklyViews: current,
+              previousWeeklyViews: previous,
+              growthFactor: Math.round((current / previous) * 100) / 100,
+            },
+          });
+        }
+      });
+    });
+  }
+
+  // A match that was already queued, e.g. by another app instance, is left
+  // as it is
+  await db.$transaction(
+    matches.map(({ rule, productId, eventKey, data }) =>
+      db.webhookDelivery.upsert({
+        where: {
+          ruleId_productId_eventKey: { ruleId: rule.id, productId, eventKey },
+        },
+        create: {
+          shop,
+          ruleId: rule.id,
+          productId,
+          eventKey,
+          payload: JSON.stringify({
+            event: RULE_EVENTS[rule.kind],
+            shop,
+            productId,
+            rule: {
+              id: rule.id,
+              name: rule.name,
+              kind: rule.kind,
+              threshold: rule.threshold,
+            },
+            ...data,
+            triggeredAt: now.toISOString(),
+          }),
+          status: DELIVERY_STATUS.PENDING,
+          nextAttemptAt: now,
+        },
+        update: {},
+      })
+    )
+  );
+
+  return matches.length;
+}
+
+/**
+ * Get a shop's most recent webhook deliveries
+ * @param {string} shop - Shop domain
+ * @param {number} [limit] - Maximum number of deliveries
+ * @returns {Promise<Array>} WebhookDelivery records, newest first
+ */
+export async function getWebhookDeliveries(shop, limit = 50) {
+  return await db.webhookDelivery.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+  });
+}
+
+/**
+ * Queue a failed delivery to be sent again, with a fresh set of attempts
+ * @param {string} shop - Shop domain
+ * @param {number} deliveryId - WebhookDelivery ID
+ * @returns {Promise<boolean>} Whether a failed delivery was found
+ */
+export async function retryWebhookDelivery(shop, deliveryId) {
+  const { count } = await db.webhookDelivery.updateMany({
+    where: { id: deliveryId, shop, status: DELIVERY_STATUS.FAILED },
+    data: {
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: new Date(),
+    },
+  });
+  return count > 0;
+}
+
+/**
+ * Send the webhook deliveries that are due
+ *
+ * Each delivery is claimed by moving its next attempt forward before it is
+ * sent, so when several app instances run this at once only one of them
+ * sends it. A delivery succeeds on any 2xx response; otherwise it is retried
+ * with exponential backoff until MAX_DELIVERY_ATTEMPTS, then marked failed.
+ * Deliveries of shops that have uninstalled the app wait until they
+ * reinstall or are purged.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+export async function runWebhookDeliveries(now = new Date()) {
+  const due = await db.webhookDelivery.findMany({
+    where: {
+      status: DELIVERY_STATUS.PENDING,
+      nextAttemptAt: { lte: now },
+      shop: { notIn: await getUninstalledShops() },
+    },
+    orderBy: { nextAttemptAt: "asc" },
+    take: DELIVERY_BATCH_SIZE,
+  });
+
+  let attempted = 0;
+  for (const delivery of due) {
+    const claimed = await db.webhookDelivery.updateMany({
+      where: { id: delivery.id, nextAttemptAt: delivery.nextAttemptAt },
+      data: { nextAttemptAt: new Date(now.getTime() + DELIVERY_CLAIM_MS) },
+    });
+    if (claimed.count === 0) continue;
+
+    const rule = await db.webhookRule.findUnique({
+      where: { id: delivery.ruleId },
+    });
+    await attemptDelivery(delivery, rule, now);
+    attempted += 1;
+  }
+
+  return attempted;
+}
+
+/**
+ * Whether an endpoint is a local test receiver, allowed outside production
+ * @param {URL} url - Endpoint URL
+ * @returns {boolean} Whether the endpoint is plain HTTP on localhost
+ */
+function isLocalEndpoint(url) {
+  return (
+    url.protocol === "http:" &&
+    LOCAL_HOSTS.includes(url.hostname) &&
+    process.env.NODE_ENV !== "production"
+  );
+}
+
+/**
+ * Resolve an endpoint's host and check that every address it resolves to
+ * is public
+ *
+ * Checked when a rule is saved and again before each send, since the host's
+ * DNS records can change in between.
+ * @param {URL} url - Endpoint URL
+ * @returns {Promise<Object>} `error` saying why the endpoint can't be used,
+ *   or the checked `address` and its `family` to connect to; local test
+ *   endpoints return neither
+ */
+async function resolveEndpoint(url) {
+  if (isLocalEndpoint(url)) return {};
+
+  // IPv6 hosts keep their brackets in URL.hostname
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, {
+      all: true,
+      verbatim: true,
+    });
+  } catch {
+    return { error: `Endpoint host ${url.hostname} could not be resolved` };
+  }
+
+  // IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+  const blocked = addresses.some(({ address, family }) =>
+    BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")
+  );
+  return blocked
+    ? {
+        error:
+          "Endpoint must resolve to a public address, not a private or local one",
+      }
+    : addresses[0];
+}
+
+/**
+ * Create a connection pool that only ever connects to an address already
+ * checked, instead of resolving the host again
+ *
+ * Without it, a host could pass the check and then resolve to a private
+ * address when fetch looks it up. TLS still verifies the certificate
+ * against the URL's host name.
+ * @param {Object} endpoint - `address` and `family` from resolveEndpoint
+ * @returns {Agent} Dispatcher for fetch, to be closed after the request
+ */
+function createPinnedAgent({ address, family }) {
+  return new Agent({
+    connect: {
+      lookup: (hostname, options, callback) =>
+        options.all
+          ? callback(null, [{ address, family }])
+          : callback(null, address, family),
+    },
+  });
+}
+
+/**
+ * Sign a payload the way receivers are expected to check it: an HMAC-SHA256
+ * of `<timestamp>.<body>` with the rule's secret, base64 encoded
+ *
+ * The timestamp is sent alongside in X-Analytics-Timestamp, so receivers
+ * can reject old deliveries that are replayed.
+ * @param {string} body - Request body
+ * @param {number} timestamp - Unix time in seconds of the attempt
+ * @param {string} secret - Rule secret
+ * @returns {string} Signature
+ */
+function signPayload(body, timestamp, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("base64");
+}
+
+/**
+ * POST a delivery to its rule's endpoint and record the outcome
+ * @param {Object} delivery - WebhookDelivery record
+ * @param {Object|null} rule - The delivery's WebhookRule, null if deleted
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(delivery, rule, now) {
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  const endpoint = rule
+    ? await resolveEndpoint(new URL(rule.endpointUrl))
+    : { error: "Rule no longer exists" };
+  let error = endpoint.error || null;
+
+  if (!error) {
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const dispatcher = endpoint.address ? createPinnedAgent(endpoint) : null;
+    try {
+      const response = await fetch(rule.endpointUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Analytics-Event": JSON.parse(delivery.payload).event,
+          "X-Analytics-Delivery-Id": String(delivery.id),
+          "X-Analytics-Timestamp": String(timestamp),
+          "X-Analytics-Hmac-Sha256": signPayload(
+            delivery.payload,
+            timestamp,
+            rule.secret
+          ),
+        },
+        body: delivery.payload,
+        redirect: "manual",
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+        ...(dispatcher ? { dispatcher } : {}),
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        error = `Endpoint responded with ${response.status}`;
+      }
+    } catch (fetchError) {
+      error = fetchError.message;
+    } finally {
+      // The response body isn't read, so don't wait for it
+      await dispatcher?.destroy();
+    }
+  }
+
+  if (!error) {
+    await db.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: DELIVERY_STATUS.DELIVERED,
+        attempts,
+        lastAttemptAt: now,
+        responseStatus,
+        error: null,
+        nextAttemptAt: null,
+        deliveredAt: now,
+      },
+    });
+    return;
+  }
+
+  const giveUp = !rule || attempts >= MAX_DELIVERY_ATTEMPTS;
+  await db.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: giveUp ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.PENDING,
+      attempts,
+      lastAttemptAt: now,
+      responseStatus,
+      error,
+      nextAttemptAt: giveUp
+        ? null
+        : new Date(now.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+    },
+  });
+}
+
+/**
+ * Count each product's views over the last 7 days and the 7 days before
+ * @param {string} shop - Shop domain
+ * @param {Array<string>} productIds - Numeric Shopify product IDs
+ * @param {Date} now - End of the current window
+ * @returns {Promise<Map>} `{ current, previous }` keyed by product ID
+ */
+async function getWeeklyViews(shop, productIds, now) {
+  const currentStart = new Date(now.getTime() - 7 * DAY_MS);
+  const previousStart = new Date(now.getTime() - 14 * DAY_MS);
+  const countViews = (gte, lt) =>
+    db.productViewEvent.groupBy({
+      by: ["productId"],
+      where: { shop, productId: { in: productIds }, viewedAt: { gte, lt } },
+      _count: { _all: true },
+    });
+
+  const counts = new Map(
+    productIds.map((productId) => [productId, { current: 0, previous: 0 }])
+  );
+  (await countViews(currentStart, now)).forEach((group) => {
+    counts.get(group.productId).current = group._count._all;
+  });
+  (await countViews(previousStart, currentStart)).forEach((group) => {
+    counts.get(group.productId).previous = group._count._all;
+  });
+  return counts;
+}
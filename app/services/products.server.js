@@ -0,0 +1,399 @@
+import db from "../db.server";
+
+// The Admin API accepts at most 250 IDs per nodes query
+const NODES_BATCH_SIZE = 250;
+
+// Stored details older than this are looked up again, in case a webhook
+// was missed
+const METADATA_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Title matches past this many are dropped; search is for finding a few
+// products, not listing the catalog
+const TITLE_SEARCH_LIMIT = 250;
+
+/**
+ * Resolve product IDs to their title, image and status
+ *
+ * Details come from the ProductMetadata table, which the product webhooks
+ * keep current. Products missing from it, or not refreshed for a day, are
+ * looked up in batches through the `nodes` query and stored. Products that
+ * no longer exist in Shopify are archived and returned with `deleted: true`
+ * and their last known details.
+ * @param {Object} admin - Admin API context for the shop
+ * @param {string} shop - Shop domain
+ * @param {Array<string>} productIds - Numeric Shopify product IDs
+ * @param {Object} [options]
+ * @param {boolean} [options.cache] - Store the products looked up; bulk
+ *   callers such as exports turn this off so a one-off export doesn't write
+ *   the whole catalog
+ * @returns {Promise<Object>} Product details keyed by product ID
+ */
+export async function resolveProducts(
+  admin,
+  shop,
+  productIds,
+  { cache = true } = {}
+) {
+  const ids = [...new Set(productIds)];
+  if (ids.length === 0) return {};
+
+  const staleBefore = new Date(Date.now() - METADATA_MAX_AGE_MS);
+  const stored = new Map(
+    (
+      await db.productMetadata.findMany({
+        where: { shop, productId: { in: ids } },
+      })
+    ).map((metadata) => [metadata.productId, metadata])
+  );
+
+  const products = {};
+  const missingIds = [];
+  ids.forEach((productId) => {
+    const metadata = stored.get(productId);
+    // Deleted products won't change again
+    if (metadata && (metadata.archivedAt || metadata.updatedAt > staleBefore)) {
+      products[productId] = toProduct(metadata);
+    } else {
+      missingIds.push(productId);
+    }
+  });
+
+  for (let i = 0; i < missingIds.length; i += NODES_BATCH_SIZE) {
+    const batch = missingIds.slice(i, i + NODES_BATCH_SIZE);
+
+    try {
+      const fetched = await fetchProductBatch(admin, batch);
+      const now = new Date();
+      const updates = batch.map((productId) => ({
+        productId,
+        details: fetched[productId] || { archivedAt: now },
+      }));
+
+      updates.forEach(({ productId, details }) => {
+        products[productId] = toProduct({
+          ...stored.get(productId),
+          productId,
+          ...details,
+        });
+      });
+      if (cache) {
+        await db.$transaction(
+          updates.map(({ productId, details }) =>
+            upsertProductMetadata(shop, productId, details)
+          )
+        );
+      }
+    } catch (error) {
+      // Tables fall back to stored details or bare IDs rather than failing
+      // the whole page
+      console.error("Error resolving product details:", error);
+      batch.forEach((productId) => {
+        if (stored.has(productId)) {
+          products[productId] = toProduct(stored.get(productId));
+        }
+      });
+    }
+  }
+
+  return products;
+}
+
+/**
+ * Store a product's details from a products/update webhook
+ *
+ * Webhooks can arrive out of order, so a payload older than the details
+ * already stored, or than the product's deletion, is ignored.
+ * @param {string} shop - Shop domain
+ * @param {Object} payload - products/update webhook payload
+ * @returns {Promise<boolean>} Whether the stored details were updated
+ */
+export async function syncProductMetadata(shop, payload) {
+  const productId = String(payload.id);
+  const shopifyUpdatedAt = payload.updated_at
+    ? new Date(payload.updated_at)
+    : new Date();
+
+  const existing = await db.productMetadata.findUnique({
+    where: { shop_productId: { shop, productId } },
+  });
+  if (
+    (existing?.shopifyUpdatedAt &&
+      existing.shopifyUpdatedAt > shopifyUpdatedAt) ||
+    (existing?.archivedAt && existing.archivedAt >= shopifyUpdatedAt)
+  ) {
+    return false;
+  }
+
+  await upsertProductMetadata(shop, productId, {
+    title: payload.title ?? null,
+    handle: payload.handle ?? null,
+    // Webhook payloads use lowercase statuses, GraphQL uppercase
+    status: payload.status ? payload.status.toUpperCase() : null,
+    vendor: payload.vendor || null,
+    productType: payload.product_type || null,
+    imageUrl: payload.image?.src ?? null,
+    imageAlt: payload.image?.alt ?? null,
+    shopifyUpdatedAt,
+    archivedAt: null,
+  });
+  return true;
+}
+
+/**
+ * Mark a product deleted in Shopify, keeping its last known details
+ *
+ * The deletion counts as the latest change, so a products/update webhook
+ * that was sent before it but arrives after doesn't bring the product back.
+ * @param {string} shop - Shop domain
+ * @param {string} productId - Numeric Shopify product ID
+ * @returns {Promise<Object>} The ProductMetadata record
+ */
+export async function archiveProductMetadata(shop, productId) {
+  const now = new Date();
+  return await upsertProductMetadata(shop, productId, {
+    archivedAt: now,
+    shopifyUpdatedAt: now,
+  });
+}
+
+/**
+ * Load one product's Shopify details, including its variants
+ * @param {Object} admin - Admin API context for the shop
+ * @param {string} productId - Numeric Shopify product ID
+ * @param {Object} [options]
+ * @param {number} [options.variantLimit] - Maximum variants to load (max 250)
+ * @returns {Promise<Object|null>} The product, or null if it doesn't exist
+ */
+export async function getProductDetails(
+  admin,
+  productId,
+  { variantLimit = 5 } = {}
+) {
+  const response = await admin.graphql(
+    `#graphql
+    query getProduct($id: ID!, $variantLimit: Int!) {
+      product(id: $id) {
+        id
+        title
+        handle
+        description
+        status
+        vendor
+        productType
+        createdAt
+        updatedAt
+        featuredImage {
+          url
+          altText
+        }
+        variants(first: $variantLimit) {
+          edges {
+            node {
+              id
+              title
+              price
+              sku
+              inventoryQuantity
+            }
+          }
+        }
+      }
+    }`,
+    {
+      variables: {
+        id: `gid://shopify/Product/${productId}`,
+        variantLimit,
+      },
+    }
+  );
+
+  const responseJson = await response.json();
+  return responseJson.data?.product || null;
+}
+
+/**
+ * Load the inventory available for each product
+ *
+ * Products that no longer exist are left out.
+ * @param {Object} admin - Admin API context for the shop
+ * @param {Array<string>} productIds - Numeric Shopify product IDs
+ * @returns {Promise<Object>} `{ totalInventory, tracksInventory }` keyed by
+ *   product ID
+ */
+export async function getInventoryLevels(admin, productIds) {
+  const levels = {};
+
+  for (let i = 0; i < productIds.length; i += NODES_BATCH_SIZE) {
+    const batch = productIds.slice(i, i + NODES_BATCH_SIZE);
+    const response = await admin.graphql(
+      `#graphql
+      query productInventory($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product {
+            id
+            totalInventory
+            tracksInventory
+          }
+        }
+      }`,
+      {
+        variables: {
+          ids: batch.map((productId) => `gid://shopify/Product/${productId}`),
+        },
+      }
+    );
+
+    const responseJson = await response.json();
+    (responseJson.data?.nodes || []).filter(Boolean).forEach((node) => {
+      levels[node.id.split("/").pop()] = {
+        totalInventory: node.totalInventory,
+        tracksInventory: node.tracksInventory,
+      };
+    });
+  }
+
+  return levels;
+}
+
+/**
+ * Resolve a search box query into the product IDs it can match
+ *
+ * A query made of digits, or a product GID, also matches product IDs
+ * containing it. Titles are searched through the Admin API; if that fails
+ * the search falls back to IDs only.
+ * @param {Object} admin - Admin API context for the shop
+ * @param {string} query - Search text
+ * @returns {Promise<Object|null>} `productId` digits to match (or null) and
+ *   `titleMatchIds`, or null for an empty query
+ */
+export async function resolveProductSearch(admin, query) {
+  const text = (query || "").trim();
+  if (!text) return null;
+
+  const idMatch = text.match(/^(?:gid:\/\/shopify\/Product\/)?(\d+)$/);
+  // Shopify search syntax has its own operators; keep only word characters
+  const terms = text
+    .split(/\s+/)
+    .map((term) => term.replace(/[^\p{L}\p{N}_-]/gu, ""))
+    .filter(Boolean);
+
+  let titleMatchIds = [];
+  if (terms.length > 0) {
+    try {
+      const response = await admin.graphql(
+        `#graphql
+        query productSearch($query: String!, $first: Int!) {
+          products(first: $first, query: $query) {
+            nodes {
+              id
+            }
+          }
+        }`,
+        {
+          variables: {
+            query: terms.map((term) => `title:*${term}*`).join(" AND "),
+            first: TITLE_SEARCH_LIMIT,
+          },
+        }
+      );
+      const responseJson = await response.json();
+      titleMatchIds = (responseJson.data?.products?.nodes || []).map((node) =>
+        node.id.split("/").pop()
+      );
+    } catch (error) {
+      console.error("Error searching products by title:", error);
+    }
+  }
+
+  return { productId: idMatch ? idMatch[1] : null, titleMatchIds };
+}
+
+/**
+ * Fetch one batch of products through the Admin GraphQL nodes query
+ * @param {Object} admin - Admin API context for the shop
+ * @param {Array<string>} productIds - Up to 250 numeric product IDs
+ * @returns {Promise<Object>} ProductMetadata fields of the products found,
+ *   keyed by product ID
+ */
+async function fetchProductBatch(admin, productIds) {
+  const response = await admin.graphql(
+    `#graphql
+    query productSummaries($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+          handle
+          status
+          vendor
+          productType
+          updatedAt
+          featuredImage {
+            url
+            altText
+          }
+        }
+      }
+    }`,
+    {
+      variables: {
+        ids: productIds.map((productId) => `gid://shopify/Product/${productId}`),
+      },
+    }
+  );
+
+  const responseJson = await response.json();
+  const products = {};
+
+  (responseJson.data?.nodes || []).filter(Boolean).forEach((node) => {
+    products[node.id.split("/").pop()] = {
+      title: node.title,
+      handle: node.handle,
+      status: node.status,
+      vendor: node.vendor || null,
+      productType: node.productType || null,
+      imageUrl: node.featuredImage?.url || null,
+      imageAlt: node.featuredImage?.altText || null,
+      shopifyUpdatedAt: new Date(node.updatedAt),
+      archivedAt: null,
+    };
+  });
+
+  return products;
+}
+
+/**
+ * Create or update a product's stored details
+ * @param {string} shop - Shop domain
+ * @param {string} productId - Numeric Shopify product ID
+ * @param {Object} details - ProductMetadata fields to set
+ * @returns {Promise<Object>} Prisma upsert, awaited or run in a transaction
+ */
+function upsertProductMetadata(shop, productId, details) {
+  return db.productMetadata.upsert({
+    where: { shop_productId: { shop, productId } },
+    create: { shop, productId, ...details },
+    update: details,
+  });
+}
+
+/**
+ * Shape a stored product for the analytics tables
+ * @param {Object} metadata - ProductMetadata fields
+ * @returns {Object} Product details, with `deleted` set for archived
+ *   products
+ */
+function toProduct(metadata) {
+  return {
+    productId: metadata.productId,
+    title: metadata.title ?? null,
+    handle: metadata.handle ?? null,
+    status: metadata.status ?? null,
+    vendor: metadata.vendor ?? null,
+    productType: metadata.productType ?? null,
+    imageUrl: metadata.imageUrl ?? null,
+    imageAlt: metadata.imageAlt ?? null,
+    archivedAt: metadata.archivedAt ?? null,
+    deleted: Boolean(metadata.archivedAt),
+  };
+}
@@ -0,0 +1,182 @@
+import db from "../db.server";
+import { COMPLIANCE_TOPICS } from "./compliance.server";
+import { flushViewBuffer } from "./view-buffer.server";
+
+// Shopify sends shop/redact 48 hours after uninstall and that deletes the
+// shop's data regardless, so a longer grace period could never be honoured
+const MAX_GRACE_DAYS = 2;
+const DEFAULT_GRACE_DAYS = MAX_GRACE_DAYS;
+
+// Failed purges are retried after this long
+const PURGE_RETRY_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days a shop's data is kept after uninstall, from UNINSTALL_GRACE_DAYS
+ *
+ * Values above MAX_GRACE_DAYS are capped, since shop/redact deletes the data
+ * 48 hours after uninstall.
+ * @returns {number} Grace period in days, 0 to purge on the next job run
+ */
+export function getUninstallGraceDays() {
+  const days = Number(process.env.UNINSTALL_GRACE_DAYS);
+  return process.env.UNINSTALL_GRACE_DAYS && Number.isFinite(days) && days >= 0
+    ? Math.min(days, MAX_GRACE_DAYS)
+    : DEFAULT_GRACE_DAYS;
+}
+
+/**
+ * Mark an uninstalled shop's data for deletion after the grace period
+ *
+ * A repeated uninstall webhook keeps the original dates.
+ * @param {string} shop - Shop domain
+ * @param {Date} [now] - Time of the uninstall
+ * @returns {Promise<Object>} The ShopUninstall record
+ */
+export async function scheduleShopPurge(shop, now = new Date()) {
+  return await db.shopUninstall.upsert({
+    where: { shop },
+    create: {
+      shop,
+      uninstalledAt: now,
+      purgeAt: new Date(now.getTime() + getUninstallGraceDays() * DAY_MS),
+    },
+    update: {},
+  });
+}
+
+/**
+ * Whether the shop has installed the app again since a given time
+ *
+ * Uninstall webhooks can be retried or arrive late, after the merchant has
+ * already reinstalled; an offline session stored since then belongs to the
+ * new install.
+ * @param {string} shop - Shop domain
+ * @param {Date} since - When the uninstall happened
+ * @returns {Promise<boolean>}
+ */
+export async function isReinstalledSince(shop, since) {
+  const session = await db.session.findFirst({
+    where: { shop, isOnline: false, updatedAt: { gt: since } },
+    select: { id: true },
+  });
+  return Boolean(session);
+}
+
+/**
+ * Keep a reinstalled shop's data by cancelling its pending purge
+ * @param {string} shop - Shop domain
+ * @returns {Promise<boolean>} Whether a purge was pending
+ */
+export async function cancelShopPurge(shop) {
+  const { count } = await db.shopUninstall.deleteMany({ where: { shop } });
+  return count > 0;
+}
+
+/**
+ * List the shops that have uninstalled and not come back, so background
+ * jobs can skip them
+ * @returns {Promise<Array<string>>} Shop domains
+ */
+export async function getUninstalledShops() {
+  const uninstalls = await db.shopUninstall.findMany({
+    select: { shop: true },
+  });
+  return uninstalls.map((uninstall) => uninstall.shop);
+}
+
+/**
+ * Delete everything stored for a shop except its compliance and purge logs
+ *
+ * Used by the purge job and for shop/redact, which Shopify sends 48 hours
+ * after the app is uninstalled whatever the grace period. The compliance log
+ * stays as an audit trail, but the customer exports kept with its data
+ * requests are cleared.
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} Number of records deleted, keyed by model, and
+ *   the number of `complianceExports` cleared
+ */
+export async function deleteShopData(shop) {
+  // Views still buffered for the shop would otherwise land after the delete
+  await flushViewBuffer();
+
+  const models = [
+    "productViewEvent",
+    "productOrderEvent",
+    "productAnalytics",
+    "productMetadata",
+    "filteredViewStat",
+    "stockAlert",
+    "shopSettings",
+    "digestDelivery",
+    "digestSchedule",
+    "session",
+    "apiToken",
+    "metafieldSyncState",
+    "webhookDelivery",
+    "webhookRule",
+    "shopUninstall",
+  ];
+  const results = await db.$transaction([
+    ...models.map((model) => db[model].deleteMany({ where: { shop } })),
+    db.complianceRequest.updateMany({
+      where: {
+        shop,
+        topic: COMPLIANCE_TOPICS.CUSTOMERS_DATA_REQUEST,
+        result: { not: null },
+      },
+      data: { result: null },
+    }),
+  ]);
+
+  return {
+    ...Object.fromEntries(
+      models.map((model, index) => [model, results[index].count])
+    ),
+    complianceExports: results[models.length].count,
+  };
+}
+
+/**
+ * Purge the data of every shop whose grace period has passed
+ *
+ * Each shop is claimed by moving its purge time forward before deleting, so
+ * when several app instances run this at once only one of them purges it,
+ * and a purge that fails is retried later. What was deleted is logged as a
+ * ShopPurge record.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of shops purged
+ */
+export async function runShopPurges(now = new Date()) {
+  const due = await db.shopUninstall.findMany({
+    where: { purgeAt: { lte: now } },
+  });
+
+  let purged = 0;
+  for (const uninstall of due) {
+    const claimed = await db.shopUninstall.updateMany({
+      where: { id: uninstall.id, purgeAt: uninstall.purgeAt },
+      data: { purgeAt: new Date(now.getTime() + PURGE_RETRY_MS) },
+    });
+    if (claimed.count === 0) continue;
+
+    try {
+      const deleted = await deleteShopData(uninstall.shop);
+      await db.shopPurge.create({
+        data: {
+          shop: uninstall.shop,
+          uninstalledAt: uninstall.uninstalledAt,
+          purgedAt: now,
+          deleted: JSON.stringify(deleted),
+        },
+      });
+      console.log(`Purged data for ${uninstall.shop}:`, deleted);
+      purged += 1;
+    } catch (error) {
+      console.error(`Error purging data for ${uninstall.shop}:`, error);
+    }
+  }
+
+  return purged;
+}
@@ -0,0 +1,239 @@
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { getViewCountsByProduct } from "./analytics.server";
+import { getInventoryLevels } from "./products.server";
+import { getUninstalledShops } from "./shop-lifecycle.server";
+
+// Most viewed products checked against inventory on each run
+const STOCK_REPORT_LIMIT = 250;
+
+// How often the background job re-checks each shop
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STOCK_ALERT_DEFAULTS = {
+  stockAlertsEnabled: true,
+  stockAlertThreshold: 5,
+  stockAlertWindowDays: 7,
+};
+
+/**
+ * Get a shop's stock alert settings, or the defaults when none are saved
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} `stockAlertsEnabled`, `stockAlertThreshold`,
+ *   `stockAlertWindowDays` and `stockAlertsCheckedAt`
+ */
+export async function getStockAlertSettings(shop) {
+  const settings = await db.shopSettings.findUnique({ where: { shop } });
+  return (
+    settings || { shop, ...STOCK_ALERT_DEFAULTS, stockAlertsCheckedAt: null }
+  );
+}
+
+/**
+ * Save a shop's stock alert settings
+ * @param {string} shop - Shop domain
+ * @param {Object} settings - Validated settings
+ * @param {boolean} settings.stockAlertsEnabled - Whether the background job
+ *   checks the shop
+ * @param {number} settings.stockAlertThreshold - Views per unit in stock
+ *   at which a product is flagged
+ * @param {number} settings.stockAlertWindowDays - Days of views to count
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function saveStockAlertSettings(
+  shop,
+  { stockAlertsEnabled, stockAlertThreshold, stockAlertWindowDays }
+) {
+  const data = { stockAlertsEnabled, stockAlertThreshold, stockAlertWindowDays };
+
+  return await db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Compare recent views of the most viewed products with their inventory
+ *
+ * Demand is views in the window per unit in stock, with stock of zero or
+ * less counted as one unit so sold out products still rank by their views.
+ * A product is flagged when its demand reaches the threshold. Products that
+ * don't track inventory are left out.
+ * @param {Object} admin - Admin API context for the shop
+ * @param {string} shop - Shop domain
+ * @param {Object} settings - Settings from getStockAlertSettings
+ * @param {Date} [now] - End of the view window
+ * @returns {Promise<Array>} `{ productId, views, inventory, demand,
+ *   flagged }` rows, highest demand first
+ */
+export async function getStockDemandReport(
+  admin,
+  shop,
+  { stockAlertThreshold, stockAlertWindowDays },
+  now = new Date()
+) {
+  const startDate = new Date(now.getTime() - stockAlertWindowDays * DAY_MS);
+  const viewCounts = (await getViewCountsByProduct(shop, startDate, now))
+    .sort((a, b) => b.viewCount - a.viewCount)
+    .slice(0, STOCK_REPORT_LIMIT);
+
+  const levels = await getInventoryLevels(
+    admin,
+    viewCounts.map((item) => item.productId)
+  );
+
+  return viewCounts
+    .filter((item) => levels[item.productId]?.tracksInventory)
+    .map((item) => {
+      const inventory = levels[item.productId].totalInventory;
+      const demand =
+        Math.round((item.viewCount / Math.max(inventory, 1)) * 100) / 100;
+      return {
+        productId: item.productId,
+        views: item.viewCount,
+        inventory,
+        demand,
+        flagged: demand >= stockAlertThreshold,
+      };
+    })
+    .sort((a, b) => b.demand - a.demand);
+}
+
+/**
+ * Build a shop's stock report and bring its alert feed up to date
+ *
+ * Flagged products without an open alert get a new one, open alerts are
+ * updated with the latest figures and alerts for products no longer flagged
+ * are resolved.
+ * @param {Object} admin - Admin API context for the shop
+ * @param {string} shop - Shop domain
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} `settings` used and the `report` rows
+ */
+export async function checkStockAlerts(admin, shop, now = new Date()) {
+  const settings = await getStockAlertSettings(shop);
+  const report = await getStockDemandReport(admin, shop, settings, now);
+  const flagged = new Map(
+    report.filter((row) => row.flagged).map((row) => [row.productId, row])
+  );
+
+  const openAlerts = await db.stockAlert.findMany({
+    where: { shop, resolvedAt: null },
+  });
+  const openProductIds = new Set(openAlerts.map((alert) => alert.productId));
+
+  await db.$transaction([
+    ...openAlerts.map((alert) => {
+      const row = flagged.get(alert.productId);
+      return db.stockAlert.update({
+        where: { id: alert.id },
+        data: row
+          ? { views: row.views, inventory: row.inventory }
+          : { resolvedAt: now },
+      });
+    }),
+    ...[...flagged.values()]
+      .filter((row) => !openProductIds.has(row.productId))
+      .map((row) =>
+        db.stockAlert.create({
+          data: {
+            shop,
+            productId: row.productId,
+            views: row.views,
+            inventory: row.inventory,
+            createdAt: now,
+          },
+        })
+      ),
+    db.shopSettings.upsert({
+      where: { shop },
+      create: { shop, stockAlertsCheckedAt: now },
+      update: { stockAlertsCheckedAt: now },
+    }),
+  ]);
+
+  return { settings, report };
+}
+
+/**
+ * Get a shop's stock alerts, open alerts first and then the most recent
+ * @param {string} shop - Shop domain
+ * @param {number} [limit] - Maximum number of alerts
+ * @returns {Promise<Array>} StockAlert records
+ */
+export async function getStockAlerts(shop, limit = 50) {
+  const open = await db.stockAlert.findMany({
+    where: { shop, resolvedAt: null },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+  });
+  const resolved = await db.stockAlert.findMany({
+    where: { shop, resolvedAt: { not: null } },
+    orderBy: { resolvedAt: "desc" },
+    take: Math.max(limit - open.length, 0),
+  });
+
+  return [...open, ...resolved];
+}
+
+/**
+ * Re-check the stock alerts of every shop not checked within the interval
+ *
+ * Every shop with recorded views is included, using the default settings
+ * until the merchant saves their own, and skipped while it is uninstalled or
+ * has turned the checks off. Each shop is claimed by moving its check time
+ * forward before checking, so when several app instances run this at once
+ * only one of them checks it.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of shops checked
+ */
+export async function runStockAlertChecks(now = new Date()) {
+  const checkedBefore = new Date(now.getTime() - CHECK_INTERVAL_MS);
+  const shops = await db.productAnalytics.groupBy({
+    by: ["shop"],
+    where: { shop: { notIn: await getUninstalledShops() } },
+  });
+
+  const due = [];
+  for (const { shop } of shops) {
+    // The check time is kept on the settings row, so shops without one get
+    // the defaults saved
+    const settings = await db.shopSettings.upsert({
+      where: { shop },
+      create: { shop, ...STOCK_ALERT_DEFAULTS },
+      update: {},
+    });
+    if (
+      settings.stockAlertsEnabled &&
+      (!settings.stockAlertsCheckedAt ||
+        settings.stockAlertsCheckedAt <= checkedBefore)
+    ) {
+      due.push(settings);
+    }
+  }
+
+  let checked = 0;
+  for (const settings of due) {
+    const claimed = await db.shopSettings.updateMany({
+      where: {
+        id: settings.id,
+        stockAlertsCheckedAt: settings.stockAlertsCheckedAt,
+      },
+      data: { stockAlertsCheckedAt: now },
+    });
+    if (claimed.count === 0) continue;
+
+    try {
+      const { admin } = await unauthenticated.admin(settings.shop);
+      await checkStockAlerts(admin, settings.shop, now);
+      checked += 1;
+    } catch (error) {
+      console.error(`Error checking stock alerts for ${settings.shop}:`, error);
+    }
+  }
+
+  return checked;
+}
@@ -0,0 +1,95 @@
+import { BlockList, isIP } from "node:net";
+import { isbot } from "isbot";
+
+export const FILTER_REASONS = {
+  USER_AGENT: "user_agent",
+  IP_RANGE: "ip_range",
+};
+
+let botIpRanges;
+
+/**
+ * Classify a tracking request as human or bot traffic
+ *
+ * A view is treated as a bot when its user agent matches the `isbot`
+ * patterns, or when its IP falls within one of the ranges listed in the
+ * BOT_IP_RANGES environment variable (comma separated CIDRs, e.g.
+ * "66.249.64.0/19,2001:4860::/32"). Values reported in the payload take
+ * precedence over the request's own headers, so importers can forward the
+ * original visitor's details.
+ * @param {Request} request - Incoming tracking request
+ * @param {Object} [reported] - Values reported by the client in the body
+ * @param {string} [reported.userAgent] - User agent of the original view
+ * @param {string} [reported.ip] - IP address of the original view
+ * @returns {string|null} Filter reason, or null for human traffic
+ */
+export function classifyTraffic(request, { userAgent, ip } = {}) {
+  const agent = userAgent || request.headers.get("user-agent");
+
+  if (agent && isbot(agent)) {
+    return FILTER_REASONS.USER_AGENT;
+  }
+
+  const address = ip || getClientIp(request);
+
+  if (address && isInRanges(getBotIpRanges(), address)) {
+    return FILTER_REASONS.IP_RANGE;
+  }
+
+  return null;
+}
+
+/**
+ * Get the original client IP of a proxied request
+ * @param {Request} request - Incoming request
+ * @returns {string|null} First address in X-Forwarded-For, if any
+ */
+function getClientIp(request) {
+  const forwardedFor = request.headers.get("x-forwarded-for");
+  return forwardedFor ? forwardedFor.split(",")[0].trim() : null;
+}
+
+/**
+ * Check an address against the configured ranges
+ * @param {BlockList} ranges - Configured bot IP ranges
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is in a bot range
+ */
+function isInRanges(ranges, address) {
+  const version = isIP(address);
+  if (version === 0) return false;
+
+  return ranges.check(address, version === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Parse BOT_IP_RANGES once, skipping entries that are not valid CIDRs
+ * @returns {BlockList} Configured bot IP ranges
+ */
+function getBotIpRanges() {
+  if (botIpRanges) return botIpRanges;
+
+  botIpRanges = new BlockList();
+
+  (process.env.BOT_IP_RANGES || "")
+    .split(",")
+    .map((range) => range.trim())
+    .filter(Boolean)
+    .forEach((range) => {
+      const [network, prefix] = range.split("/");
+      const version = isIP(network);
+      const prefixLength = Number(prefix ?? (version === 6 ? 128 : 32));
+
+      try {
+        botIpRanges.addSubnet(
+          network,
+          prefixLength,
+          version === 6 ? "ipv6" : "ipv4"
+        );
+      } catch (error) {
+        console.error(`Ignoring invalid BOT_IP_RANGES entry "${range}"`);
+      }
+    });
+
+  return botIpRanges;
+}
@@ -0,0 +1,438 @@
+import db from "../db.server";
+import { getDayStart } from "../utils/date-range";
+import { evaluateViewRules } from "./outbound-webhooks.server";
+
+const FLUSH_INTERVAL_MS = Number(process.env.VIEW_BUFFER_FLUSH_MS) || 2000;
+
+// Flush early once this many events are waiting, to bound memory use. While
+// the database is failing, events beyond this are shed, oldest first.
+const MAX_BUFFERED_EVENTS = 5000;
+
+// Failed flushes are retried with the delay doubling each time, up to this
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+// Repeat views of a product by the same visitor within this window are
+// collapsed into one. Set VIEW_DEDUP_WINDOW_MINUTES=0 to count every view.
+const DEDUP_WINDOW_MS =
+  Number(process.env.VIEW_DEDUP_WINDOW_MINUTES ?? 30) * 60 * 1000;
+
+// Large flushes take longer than Prisma's default 5s transaction timeout
+const FLUSH_TRANSACTION_TIMEOUT_MS = 30 * 1000;
+
+let bufferedEvents = [];
+const pendingCounts = new Map();
+const pendingClientEventIds = new Set();
+let flushChain = Promise.resolve();
+let flushTimer = null;
+let failedFlushes = 0;
+let retryAt = 0;
+
+/**
+ * Queue validated view events to be written on the next flush
+ * @param {string} shop - Shop domain the views belong to
+ * @param {Array} events - Events with productId, variantId, clientEventId
+ *   and viewedAt, as returned by validateViewEvent. Events with a
+ *   `filterReason` are bot traffic and only counted as filtered views.
+ */
+export function enqueueViewEvents(shop, events) {
+  events.forEach((event) => {
+    const buffered = { shop, ...event };
+    bufferedEvents.push(buffered);
+    indexEvent(buffered, 1);
+  });
+  scheduleFlush();
+
+  if (bufferedEvents.length >= MAX_BUFFERED_EVENTS) {
+    if (isBackingOff()) {
+      shedOverflow();
+    } else {
+      flushViewBuffer();
+    }
+  }
+}
+
+/**
+ * Number of views for a product that are buffered or being flushed but not
+ * yet committed. Repeat visitor views are only collapsed when flushed, so
+ * this can briefly include views that end up not being counted.
+ * @param {string} shop - Shop domain
+ * @param {string} productId - Numeric Shopify product ID
+ * @returns {number} Pending view count
+ */
+export function getPendingViewCount(shop, productId) {
+  return pendingCounts.get(bufferKey(shop, productId)) || 0;
+}
+
+/**
+ * Whether a client event ID is already waiting in the buffer
+ * @param {string} shop - Shop domain
+ * @param {string} clientEventId - Client supplied event ID
+ * @returns {boolean}
+ */
+export function isClientEventIdPending(shop, clientEventId) {
+  return pendingClientEventIds.has(bufferKey(shop, clientEventId));
+}
+
+/**
+ * Write all buffered events to the database
+ *
+ * Flushes run one after another, so this process never has two writers
+ * touching the same counter. Counters are changed with an atomic upsert and
+ * increment rather than read-modify-write, which keeps totals exact even
+ * when several server processes share the database.
+ * @returns {Promise<void>} Resolves once the buffered events are written
+ */
+export function flushViewBuffer() {
+  flushChain = flushChain.then(writeBufferedEvents, writeBufferedEvents);
+  return flushChain;
+}
+
+/**
+ * Add an event to, or remove it from, the pending lookup indexes. Events
+ * stay indexed until their flush commits so reads never miss them.
+ * @param {Object} event - Buffered event with shop and productId
+ * @param {number} delta - 1 to add the event, -1 to remove it
+ */
+function indexEvent(event, delta) {
+  // Filtered traffic never reaches the counters, so it isn't pending
+  if (event.filterReason) return;
+
+  const countKey = bufferKey(event.shop, event.productId);
+  const count = (pendingCounts.get(countKey) || 0) + delta;
+  if (count > 0) {
+    pendingCounts.set(countKey, count);
+  } else {
+    pendingCounts.delete(countKey);
+  }
+
+  if (event.clientEventId) {
+    const eventKey = bufferKey(event.shop, event.clientEventId);
+    if (delta > 0) {
+      pendingClientEventIds.add(eventKey);
+    } else {
+      pendingClientEventIds.delete(eventKey);
+    }
+  }
+}
+
+/**
+ * Build a composite lookup key, e.g. shop and product ID
+ * @param {string} scope - Shop domain or visitor ID
+ * @param {string} id - Product or client event ID
+ * @returns {string} Lookup key
+ */
+function bufferKey(scope, id) {
+  return `${scope}\u0000${id}`;
+}
+
+/**
+ * Start the flush interval on first use
+ */
+function scheduleFlush() {
+  if (flushTimer) return;
+
+  // Dev server reloads re-run this module; replace the previous copy's timer
+  // rather than adding another
+  clearInterval(global.viewBufferFlushTimer);
+
+  flushTimer = setInterval(() => {
+    if (bufferedEvents.length > 0 && !isBackingOff()) {
+      flushViewBuffer();
+    }
+  }, FLUSH_INTERVAL_MS);
+  // Don't keep the process alive just to flush an empty buffer
+  flushTimer.unref();
+  global.viewBufferFlushTimer = flushTimer;
+
+  registerShutdownFlush();
+}
+
+/**
+ * Flush what's left when the server is asked to stop, then let the signal
+ * continue to its default handling
+ */
+function registerShutdownFlush() {
+  // The handlers are added once per process and flush whichever copy of
+  // this module dev server reloads last loaded
+  global.flushViewBufferOnShutdown = flushViewBuffer;
+  if (global.viewBufferShutdownFlushRegistered) return;
+  global.viewBufferShutdownFlushRegistered = true;
+
+  const flushThenExit = (signal) => {
+    global
+      .flushViewBufferOnShutdown()
+      .finally(() => process.kill(process.pid, signal));
+  };
+
+  process.once("SIGTERM", flushThenExit);
+  process.once("SIGINT", flushThenExit);
+}
+
+/**
+ * Whether the last flush failed and its retry delay hasn't passed yet
+ * @returns {boolean}
+ */
+function isBackingOff() {
+  return failedFlushes > 0 && Date.now() < retryAt;
+}
+
+/**
+ * Drop the oldest buffered events beyond MAX_BUFFERED_EVENTS, so a database
+ * outage can't grow the buffer without bound
+ */
+function shedOverflow() {
+  const shed = bufferedEvents.length - MAX_BUFFERED_EVENTS;
+  if (shed <= 0) return;
+
+  bufferedEvents.splice(0, shed).forEach((event) => indexEvent(event, -1));
+  console.error(
+    `Shedding ${shed} product views; the buffer is full while flushes fail`
+  );
+}
+
+/**
+ * Move the buffered events into the database in one transaction, putting
+ * them back to be retried with backoff if the write fails. Once written, the
+ * counted products are checked against the shops' webhook rules.
+ * @returns {Promise<void>}
+ */
+async function writeBufferedEvents() {
+  if (bufferedEvents.length === 0) return;
+
+  const events = bufferedEvents;
+  bufferedEvents = [];
+  const countedProducts = new Map();
+
+  try {
+    await db.$transaction(
+      async (tx) => {
+        for (const [shop, shopEvents] of groupBy(events, (e) => e.shop)) {
+          countedProducts.set(
+            shop,
+            await writeShopEvents(tx, shop, shopEvents)
+          );
+        }
+      },
+      { timeout: FLUSH_TRANSACTION_TIMEOUT_MS }
+    );
+    events.forEach((event) => indexEvent(event, -1));
+    failedFlushes = 0;
+  } catch (error) {
+    failedFlushes += 1;
+    const retryDelay = Math.min(
+      FLUSH_INTERVAL_MS * 2 ** failedFlushes,
+      MAX_RETRY_DELAY_MS
+    );
+    retryAt = Date.now() + retryDelay;
+    console.error(
+      `Error flushing product view buffer, retrying in ${retryDelay}ms:`,
+      error
+    );
+
+    // Older events go back in front of those queued during the attempt
+    bufferedEvents = [...events, ...bufferedEvents];
+    shedOverflow();
+    return;
+  }
+
+  // The views are committed; a rule check failing must not put them back
+  for (const [shop, products] of countedProducts) {
+    try {
+      await evaluateViewRules(shop, products);
+    } catch (error) {
+      console.error(`Error checking webhook rules for ${shop}:`, error);
+    }
+  }
+}
+
+/**
+ * Store one shop's buffered events and apply them to its counters
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} shop - Shop domain
+ * @param {Array} allEvents - Buffered events for the shop, bots included
+ * @returns {Promise<Array>} Products whose views were counted, with their
+ *   new total `viewCount` and the number of views `added`
+ */
+async function writeShopEvents(tx, shop, allEvents) {
+  await writeFilteredEvents(
+    tx,
+    shop,
+    allEvents.filter((event) => event.filterReason)
+  );
+
+  const events = allEvents.filter((event) => !event.filterReason);
+
+  // The buffer only de-duplicates against itself, so check what's stored
+  const clientEventIds = events
+    .map((event) => event.clientEventId)
+    .filter(Boolean);
+  const storedEvents =
+    clientEventIds.length > 0
+      ? await tx.productViewEvent.findMany({
+          where: { shop, clientEventId: { in: clientEventIds } },
+          select: { clientEventId: true },
+        })
+      : [];
+  const storedEventIds = new Set(
+    storedEvents.map((stored) => stored.clientEventId)
+  );
+  const newEvents = events.filter(
+    (event) => !event.clientEventId || !storedEventIds.has(event.clientEventId)
+  );
+
+  const countedEvents = await collapseRepeatViews(tx, shop, newEvents);
+
+  if (countedEvents.length === 0) return [];
+
+  await tx.productViewEvent.createMany({
+    data: countedEvents.map((event) => ({
+      shop,
+      productId: event.productId,
+      variantId: event.variantId,
+      clientEventId: event.clientEventId,
+      visitorId: event.visitorId,
+      customerId: event.customerId,
+      viewedAt: event.viewedAt,
+    })),
+  });
+
+  // Coalesce the increments so each product is written once per flush
+  const countedProducts = [];
+  for (const [productId, productEvents] of groupBy(
+    countedEvents,
+    (e) => e.productId
+  )) {
+    const lastViewedAt = productEvents.reduce(
+      (latest, event) => (event.viewedAt > latest ? event.viewedAt : latest),
+      productEvents[0].viewedAt
+    );
+
+    const analytics = await tx.productAnalytics.upsert({
+      where: { shop_productId: { shop, productId } },
+      create: {
+        shop,
+        productId,
+        viewCount: productEvents.length,
+        lastViewedAt,
+      },
+      update: {
+        viewCount: { increment: productEvents.length },
+      },
+    });
+
+    // Backfilled events must not move the last view backwards
+    await tx.productAnalytics.updateMany({
+      where: { shop, productId, lastViewedAt: { lt: lastViewedAt } },
+      data: { lastViewedAt },
+    });
+
+    countedProducts.push({
+      productId,
+      viewCount: analytics.viewCount,
+      added: productEvents.length,
+    });
+  }
+
+  return countedProducts;
+}
+
+/**
+ * Drop views of a product by a visitor who was already counted for that
+ * product within the dedup window, either earlier in this flush or in the
+ * stored events
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} shop - Shop domain
+ * @param {Array} events - Buffered events for the shop
+ * @returns {Promise<Array>} Events to count, oldest first
+ */
+async function collapseRepeatViews(tx, shop, events) {
+  const visitorEvents = events.filter((event) => event.visitorId);
+
+  if (DEDUP_WINDOW_MS <= 0 || visitorEvents.length === 0) return events;
+
+  const earliest = visitorEvents.reduce(
+    (min, event) => (event.viewedAt < min ? event.viewedAt : min),
+    visitorEvents[0].viewedAt
+  );
+  const recentViews = await tx.productViewEvent.findMany({
+    where: {
+      shop,
+      visitorId: {
+        in: [...new Set(visitorEvents.map((event) => event.visitorId))],
+      },
+      viewedAt: { gte: new Date(earliest.getTime() - DEDUP_WINDOW_MS) },
+    },
+    select: { productId: true, visitorId: true, viewedAt: true },
+  });
+
+  const lastCounted = new Map();
+  const remember = (view) => {
+    const key = bufferKey(view.visitorId, view.productId);
+    const time = new Date(view.viewedAt).getTime();
+    lastCounted.set(key, Math.max(lastCounted.get(key) ?? time, time));
+  };
+  recentViews.forEach(remember);
+
+  return [...events]
+    .sort((a, b) => a.viewedAt - b.viewedAt)
+    .filter((event) => {
+      if (!event.visitorId) return true;
+
+      const last = lastCounted.get(bufferKey(event.visitorId, event.productId));
+      if (
+        last !== undefined &&
+        Math.abs(event.viewedAt.getTime() - last) < DEDUP_WINDOW_MS
+      ) {
+        return false;
+      }
+
+      remember(event);
+      return true;
+    });
+}
+
+/**
+ * Add bot hits to the shop's daily filtered traffic counts
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} shop - Shop domain
+ * @param {Array} events - Buffered events with a filterReason
+ * @returns {Promise<void>}
+ */
+async function writeFilteredEvents(tx, shop, events) {
+  const groups = groupBy(
+    events,
+    (event) =>
+      `${getDayStart(event.viewedAt).toISOString()}|${event.filterReason}`
+  );
+
+  for (const [key, dayEvents] of groups) {
+    const [date, reason] = key.split("|");
+
+    await tx.filteredViewStat.upsert({
+      where: { shop_date_reason: { shop, date: new Date(date), reason } },
+      create: {
+        shop,
+        date: new Date(date),
+        reason,
+        viewCount: dayEvents.length,
+      },
+      update: { viewCount: { increment: dayEvents.length } },
+    });
+  }
+}
+
+/**
+ * Group items into a Map of arrays keyed by getKey
+ * @param {Array} items - Items to group
+ * @param {Function} getKey - Maps an item to its group key
+ * @returns {Map} Groups in first-seen order
+ */
+function groupBy(items, getKey) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = getKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
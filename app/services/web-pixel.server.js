@@ -0,0 +1,40 @@
+/**
+ * Connect the product view pixel extension to a shop
+ *
+ * A web pixel extension only starts running on the storefront once the app
+ * creates it for the shop. Creating it again is reported as "TAKEN", which
+ * is expected on every re-authentication after the first.
+ * @param {Object} admin - Admin API context for the shop
+ * @returns {Promise<void>}
+ */
+export async function ensureWebPixel(admin) {
+  const response = await admin.graphql(
+    `#graphql
+    mutation webPixelCreate($webPixel: WebPixelInput!) {
+      webPixelCreate(webPixel: $webPixel) {
+        userErrors {
+          code
+          field
+          message
+        }
+        webPixel {
+          id
+        }
+      }
+    }`,
+    {
+      variables: {
+        webPixel: { settings: "{}" },
+      },
+    }
+  );
+
+  const responseJson = await response.json();
+  const userErrors = (
+    responseJson.data?.webPixelCreate?.userErrors || []
+  ).filter((error) => error.code !== "TAKEN");
+
+  if (userErrors.length > 0) {
+    console.error("Failed to connect web pixel:", userErrors);
+  }
+}
@@ -0,0 +1,79 @@
+// Turns the period buckets returned by getAnalyticsBuckets into chart series.
+// Buckets arrive newest first; every series here is oldest first so charts
+// read left to right.
+
+/**
+ * Total views per period
+ * @param {Array} buckets - Period buckets, newest first
+ * @param {Function} formatLabel - Maps a period start key to its label
+ * @returns {Array} `{ label, value }` points, oldest first
+ */
+export function getTotalSeries(buckets, formatLabel) {
+  return [...buckets].reverse().map((bucket) => ({
+    label: formatLabel(bucket.periodStart),
+    value: bucket.totalViews,
+  }));
+}
+
+/**
+ * Views per period for every product seen in the buckets
+ * @param {Array} buckets - Period buckets, newest first
+ * @returns {Object} Arrays of view counts, oldest first, keyed by product ID
+ */
+export function getProductSeries(buckets) {
+  const ordered = [...buckets].reverse();
+  const series = {};
+
+  ordered.forEach((bucket, index) => {
+    bucket.products.forEach((product) => {
+      if (!series[product.productId]) {
+        series[product.productId] = new Array(ordered.length).fill(0);
+      }
+      series[product.productId][index] = product.viewCount;
+    });
+  });
+
+  return series;
+}
+
+/**
+ * Views per period for the most viewed products, with the remaining
+ * products combined into an "Other" series
+ * @param {Array} buckets - Period buckets, newest first
+ * @param {Object} options
+ * @param {number} [options.limit] - Number of products to chart separately
+ * @param {Function} [options.getName] - Maps a product ID to its label
+ * @returns {Array} `{ id, name, values }` series, most viewed first
+ */
+export function getTopProductSeries(
+  buckets,
+  { limit = 5, getName = (productId) => `Product ${productId}` } = {}
+) {
+  const productSeries = getProductSeries(buckets);
+  const totals = Object.entries(productSeries).map(([productId, values]) => ({
+    productId,
+    total: values.reduce((sum, value) => sum + value, 0),
+  }));
+  totals.sort((a, b) => b.total - a.total);
+
+  const series = totals.slice(0, limit).map(({ productId }) => ({
+    id: productId,
+    name: getName(productId),
+    values: productSeries[productId],
+  }));
+
+  // Buckets may only list some products, so "Other" is whatever the charted
+  // products leave of each period's total
+  const other = [...buckets]
+    .reverse()
+    .map(
+      (bucket, index) =>
+        bucket.totalViews -
+        series.reduce((sum, { values }) => sum + values[index], 0)
+    );
+  if (other.some((views) => views > 0)) {
+    series.push({ id: "other", name: "Other", values: other });
+  }
+
+  return series;
+}
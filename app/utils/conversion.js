@@ -0,0 +1,22 @@
+// View-to-order conversion, shared by the analytics service and pages.
+
+/**
+ * Percentage of views that led to an order
+ * @param {number} views - Product views in the period
+ * @param {number} orders - Orders containing the product in the period
+ * @returns {number|null} Percentage rounded to one decimal, or null when
+ *   there were no views to convert
+ */
+export function getConversionRate(views, orders) {
+  if (views <= 0) return null;
+  return Math.round((orders / views) * 1000) / 10;
+}
+
+/**
+ * Format a conversion rate for display
+ * @param {number|null} rate - Rate from getConversionRate
+ * @returns {string} Rate as a percentage, or a dash without views
+ */
+export function formatConversionRate(rate) {
+  return rate === null || rate === undefined ? "—" : `${rate}%`;
+}
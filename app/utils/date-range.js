@@ -0,0 +1,196 @@
+// Date ranges and period buckets for the analytics pages. All periods are in
+// UTC so a view lands in the same bucket for every merchant and server.
+
+export const RANGE_PRESETS = [
+  { value: "7d", label: "Last 7 days", days: 7 },
+  { value: "30d", label: "Last 30 days", days: 30 },
+  { value: "90d", label: "Last 90 days", days: 90 },
+  { value: "month", label: "This month" },
+  { value: "custom", label: "Custom range" },
+];
+
+export const GRANULARITIES = [
+  { value: "day", label: "Day" },
+  { value: "week", label: "Week" },
+  { value: "month", label: "Month" },
+];
+
+export const DEFAULT_RANGE_PRESET = "90d";
+export const DEFAULT_GRANULARITY = "week";
+
+// Keeps day buckets and event scans bounded for custom ranges
+const MAX_RANGE_DAYS = 731;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read the analytics date range and granularity from URL search params
+ *
+ * Supported params are `preset` (see RANGE_PRESETS), `start` and `end`
+ * (YYYY-MM-DD, for the custom preset) and `granularity`. Anything missing or
+ * invalid falls back to the defaults.
+ * @param {URLSearchParams} searchParams - Request search params
+ * @param {Date} [now] - Current time, for presets relative to today
+ * @returns {Object} `preset`, `granularity`, `startDate`, `endDate` and the
+ *   `start`/`end` day keys of the resolved range
+ */
+export function parseDateRange(searchParams, now = new Date()) {
+  const granularity = GRANULARITIES.some(
+    (option) => option.value === searchParams.get("granularity")
+  )
+    ? searchParams.get("granularity")
+    : DEFAULT_GRANULARITY;
+
+  let preset = RANGE_PRESETS.some(
+    (option) => option.value === searchParams.get("preset")
+  )
+    ? searchParams.get("preset")
+    : DEFAULT_RANGE_PRESET;
+
+  let startDate;
+  let endDate = now;
+
+  if (preset === "custom") {
+    const start = searchParams.get("start");
+    const end = searchParams.get("end");
+
+    if (isValidDateKey(start) && isValidDateKey(end) && start <= end) {
+      startDate = new Date(`${start}T00:00:00.000Z`);
+      endDate = new Date(`${end}T23:59:59.999Z`);
+    } else {
+      preset = DEFAULT_RANGE_PRESET;
+    }
+  } else if (preset === "month") {
+    startDate = getMonthStart(now);
+  }
+
+  if (!startDate) {
+    const { days } = RANGE_PRESETS.find((option) => option.value === preset);
+    startDate = getDayStart(new Date(now.getTime() - (days - 1) * DAY_MS));
+  }
+
+  const earliestStart = getDayStart(
+    new Date(endDate.getTime() - (MAX_RANGE_DAYS - 1) * DAY_MS)
+  );
+  if (startDate < earliestStart) {
+    startDate = earliestStart;
+  }
+
+  return {
+    preset,
+    granularity,
+    startDate,
+    endDate,
+    start: toDateKey(startDate),
+    end: toDateKey(endDate),
+  };
+}
+
+/**
+ * Check that a value is a real calendar day as YYYY-MM-DD
+ *
+ * Days past the end of a month, such as 2026-02-30, would otherwise parse
+ * and roll over into the next month.
+ * @param {string|null} value - Value to check
+ * @returns {boolean} Whether it is a valid day key
+ */
+export function isValidDateKey(value) {
+  if (!DATE_PATTERN.test(value || "")) return false;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(date.getTime()) && toDateKey(date) === value;
+}
+
+/**
+ * Get the start of the period containing a date
+ * @param {Date} date - Input date
+ * @param {string} granularity - "day", "week" or "month"
+ * @returns {Date} Start of the period
+ */
+export function getPeriodStart(date, granularity) {
+  if (granularity === "month") return getMonthStart(date);
+  if (granularity === "week") return getWeekStart(date);
+  return getDayStart(date);
+}
+
+/**
+ * Get the start of the period following the one that starts at a date
+ * @param {Date} periodStart - Start of a period
+ * @param {string} granularity - "day", "week" or "month"
+ * @returns {Date} Start of the next period
+ */
+export function getNextPeriodStart(periodStart, granularity) {
+  const d = new Date(periodStart);
+  if (granularity === "month") {
+    d.setUTCMonth(d.getUTCMonth() + 1);
+  } else {
+    d.setUTCDate(d.getUTCDate() + (granularity === "week" ? 7 : 1));
+  }
+  return d;
+}
+
+/**
+ * Get the start of the day (UTC) for a given date
+ * @param {Date} date - Input date
+ * @returns {Date} Start of the day
+ */
+export function getDayStart(date) {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Get the start of the week (Monday, UTC) for a given date
+ * @param {Date} date - Input date
+ * @returns {Date} Start of the week
+ */
+export function getWeekStart(date) {
+  const d = getDayStart(date);
+  const day = d.getUTCDay();
+  const diff = day === 0 ? -6 : 1 - day; // Adjust when day is Sunday
+  d.setUTCDate(d.getUTCDate() + diff);
+  return d;
+}
+
+/**
+ * Get the start of the month (UTC) for a given date
+ * @param {Date} date - Input date
+ * @returns {Date} Start of the month
+ */
+export function getMonthStart(date) {
+  const d = getDayStart(date);
+  d.setUTCDate(1);
+  return d;
+}
+
+/**
+ * Format a date as its UTC day key
+ * @param {Date} date - Input date
+ * @returns {string} Date in YYYY-MM-DD form
+ */
+export function toDateKey(date) {
+  return new Date(date).toISOString().split("T")[0];
+}
+
+/**
+ * Human readable label for a period bucket
+ * @param {string} periodStart - Period start as YYYY-MM-DD
+ * @param {string} granularity - "day", "week" or "month"
+ * @returns {string} Label such as "Week of 10/19/2026" or "October 2026"
+ */
+export function formatPeriodLabel(periodStart, granularity) {
+  const date = new Date(`${periodStart}T00:00:00.000Z`);
+
+  if (granularity === "month") {
+    return date.toLocaleDateString(undefined, {
+      month: "long",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+  }
+
+  const day = date.toLocaleDateString(undefined, { timeZone: "UTC" });
+  return granularity === "week" ? `Week of ${day}` : day;
+}
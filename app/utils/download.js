@@ -0,0 +1,39 @@
+/**
+ * Save a fetch response as a file in the browser
+ *
+ * Embedded app requests need the session token that App Bridge adds to
+ * fetch, so downloads are fetched and saved rather than linked to.
+ * @param {Response} response - Successful response to save
+ * @param {string} fallbackName - File name when the response names none
+ * @returns {Promise<void>}
+ */
+export async function saveResponse(response, fallbackName) {
+  const blob = await response.blob();
+  const filename =
+    response.headers
+      .get("Content-Disposition")
+      ?.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Start a browser download of a URL the browser can open on its own
+ *
+ * The file is saved as it arrives rather than held in memory first, so use
+ * this for large files. The response should be sent as an attachment.
+ * @param {string} url - Download URL
+ */
+export function startDownload(url) {
+  const a = document.createElement("a");
+  a.href = url;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+}
@@ -0,0 +1,140 @@
+import { parseDateRange } from "./date-range";
+import { parseProductListParams } from "./product-list";
+
+// Export formats and datasets shared by the export endpoint and the export
+// controls on each analytics page.
+
+export const EXPORT_FORMATS = [
+  { value: "csv", label: "CSV", extension: "csv", contentType: "text/csv" },
+  {
+    value: "json",
+    label: "JSON",
+    extension: "json",
+    contentType: "application/json",
+  },
+  {
+    value: "ndjson",
+    label: "NDJSON (one JSON object per line)",
+    extension: "ndjson",
+    contentType: "application/x-ndjson",
+  },
+];
+
+// One dataset per analytics page, with the columns that page shows first
+export const EXPORT_DATASETS = {
+  products: {
+    label: "Product views",
+    columns: [
+      { key: "productId", label: "Product ID" },
+      { key: "title", label: "Title" },
+      { key: "handle", label: "Handle" },
+      { key: "status", label: "Status" },
+      { key: "viewCount", label: "Total Views" },
+      { key: "periodViews", label: "Views In Range" },
+      { key: "uniqueViewers", label: "Unique Viewers" },
+      { key: "lastViewedAt", label: "Last Viewed At" },
+      { key: "createdAt", label: "First Seen At" },
+    ],
+    defaultColumns: [
+      "productId",
+      "title",
+      "viewCount",
+      "periodViews",
+      "uniqueViewers",
+      "lastViewedAt",
+      "createdAt",
+    ],
+  },
+  periods: {
+    label: "Views by period",
+    columns: [
+      { key: "periodStart", label: "Period Start" },
+      { key: "productId", label: "Product ID" },
+      { key: "title", label: "Title" },
+      { key: "handle", label: "Handle" },
+      { key: "status", label: "Status" },
+      { key: "viewCount", label: "Views" },
+      { key: "lastViewedAt", label: "Last Viewed At" },
+    ],
+    defaultColumns: [
+      "periodStart",
+      "productId",
+      "title",
+      "viewCount",
+      "lastViewedAt",
+    ],
+  },
+};
+
+/**
+ * Read export options from URL search params
+ *
+ * Supported params are `dataset`, `format`, `columns` (comma separated
+ * column keys, in output order), `bom` ("1" to prefix CSV output with a
+ * byte order mark for Excel), the date range params read by parseDateRange
+ * and, for the products dataset, the Product Views search `q`.
+ * @param {URLSearchParams} searchParams - Request search params
+ * @returns {Object} `{ options }` on success or `{ error }` with a message
+ */
+export function parseExportOptions(searchParams) {
+  const datasetName = searchParams.get("dataset") || "products";
+  const dataset = EXPORT_DATASETS[datasetName];
+  if (!dataset) {
+    return { error: `Unknown dataset: ${datasetName}` };
+  }
+
+  const formatName = searchParams.get("format") || "csv";
+  const format = EXPORT_FORMATS.find((option) => option.value === formatName);
+  if (!format) {
+    return { error: `Unknown format: ${formatName}` };
+  }
+
+  const requested = searchParams.get("columns");
+  const columnKeys = requested
+    ? [...new Set(requested.split(",").map((key) => key.trim()))]
+    : dataset.defaultColumns;
+  const columns = columnKeys.map((key) =>
+    dataset.columns.find((column) => column.key === key)
+  );
+  const unknownIndex = columns.indexOf(undefined);
+  if (unknownIndex !== -1) {
+    return { error: `Unknown column: ${columnKeys[unknownIndex]}` };
+  }
+  if (columns.length === 0) {
+    return { error: "At least one column is required" };
+  }
+
+  return {
+    options: {
+      dataset: datasetName,
+      format,
+      columns,
+      bom: searchParams.get("bom") === "1",
+      range: parseDateRange(searchParams),
+      q: parseProductListParams(searchParams).q,
+    },
+  };
+}
+
+/**
+ * Build the export URL for a dataset, carrying over the page's filters
+ * @param {URLSearchParams} pageParams - Search params of the current page
+ * @param {Object} selection - Export choices
+ * @param {string} selection.dataset - Dataset name
+ * @param {string} selection.format - Format value
+ * @param {Array<string>} selection.columns - Column keys in output order
+ * @param {boolean} [selection.bom] - Prefix CSV with a byte order mark
+ * @returns {string} Path and query of the export endpoint
+ */
+export function buildExportUrl(pageParams, { dataset, format, columns, bom }) {
+  const params = new URLSearchParams(pageParams);
+  params.set("dataset", dataset);
+  params.set("format", format);
+  params.set("columns", columns.join(","));
+  if (bom && format === "csv") {
+    params.set("bom", "1");
+  } else {
+    params.delete("bom");
+  }
+  return `/app/export?${params}`;
+}
@@ -0,0 +1,54 @@
+// Sorting, search and paging options for the Product Views table, read from
+// the URL so every view of the table can be linked to.
+
+export const PRODUCT_SORTS = [
+  { value: "views", label: "Total views" },
+  { value: "lastViewed", label: "Last viewed" },
+  { value: "firstSeen", label: "First seen" },
+];
+
+export const DEFAULT_PRODUCT_SORT = "views";
+
+export const PRODUCT_PAGE_SIZE = 50;
+
+// Search params that point into a particular page of results
+export const PRODUCT_CURSOR_PARAMS = ["after", "before"];
+
+/**
+ * Read the Product Views table options from URL search params
+ *
+ * Supported params are `q` (product ID or title search), `sort` (see
+ * PRODUCT_SORTS), `direction` ("asc" or "desc", default "desc") and one of
+ * `after` or `before`, the row cursor to page forwards or backwards from.
+ * @param {URLSearchParams} searchParams - Request search params
+ * @returns {Object} `q`, `sort`, `direction`, `after` and `before`
+ */
+export function parseProductListParams(searchParams) {
+  const sort = PRODUCT_SORTS.some(
+    (option) => option.value === searchParams.get("sort")
+  )
+    ? searchParams.get("sort")
+    : DEFAULT_PRODUCT_SORT;
+  const direction = searchParams.get("direction") === "asc" ? "asc" : "desc";
+
+  const after = parseCursor(searchParams.get("after"));
+  const before = after ? null : parseCursor(searchParams.get("before"));
+
+  return {
+    q: (searchParams.get("q") || "").trim().slice(0, 255),
+    sort,
+    direction,
+    after,
+    before,
+  };
+}
+
+/**
+ * Parse a row cursor
+ * @param {string|null} value - Cursor from the URL
+ * @returns {number|null} Row ID, or null when missing or malformed
+ */
+function parseCursor(value) {
+  const id = Number(value);
+  return Number.isSafeInteger(id) && id > 0 ? id : null;
+}
@@ -0,0 +1,17 @@
+// Period-over-period view changes, shared by the weekly page and the digest.
+
+/**
+ * Format a change in views as e.g. "+12 (+30%)"
+ * @param {Object} change - Object from compareViews
+ * @param {number} change.change - Difference in views
+ * @param {number|null} change.percentChange - Percentage change, null when
+ *   there were no previous views
+ * @returns {string} Formatted change
+ */
+export function formatChange({ change, percentChange }) {
+  const sign = change > 0 ? "+" : "";
+  if (percentChange === null) {
+    return change > 0 ? `${sign}${change} (new)` : `${change}`;
+  }
+  return `${sign}${change} (${sign}${percentChange}%)`;
+}
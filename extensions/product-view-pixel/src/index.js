@@ -0,0 +1,29 @@
+import { register } from "@shopify/web-pixels-extension";
+
+// Path of the app proxy configured in shopify.app.toml. Shopify signs these
+// requests before forwarding them to /api/track-view.
+const TRACK_VIEW_PATH = "/apps/analytics/track-view";
+
+register(({ analytics, browser, init }) => {
+  const shop = init.data.shop.myshopifyDomain;
+
+  analytics.subscribe("product_viewed", (event) => {
+    const variant = event.data?.productVariant;
+    const productId = variant?.product?.id;
+
+    if (!productId) return;
+
+    const origin = event.context.document.location.origin;
+    const payload = JSON.stringify({
+      productId,
+      variantId: variant.id || null,
+      shop,
+      // Stable per browser, lets repeat views by one shopper be collapsed
+      visitorId: event.clientId,
+      userAgent: event.context.navigator?.userAgent,
+    });
+
+    // sendBeacon survives navigation and sends a CORS-safe text/plain body
+    browser.sendBeacon(`${origin}${TRACK_VIEW_PATH}`, payload);
+  });
+});
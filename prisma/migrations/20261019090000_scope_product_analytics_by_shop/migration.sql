@@ -0,0 +1,35 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_product_analytics" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "viewCount" INTEGER NOT NULL DEFAULT 0,
+    "lastViewedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rows recorded before analytics were scoped per shop can only be attributed
+-- when the app is installed on a single shop. Otherwise they are kept under an
+-- empty shop so that no merchant sees another store's views.
+INSERT INTO "new_product_analytics" ("id", "shop", "productId", "viewCount", "lastViewedAt", "createdAt")
+SELECT
+    "id",
+    CASE
+        WHEN (SELECT COUNT(DISTINCT "shop") FROM "Session") = 1
+        THEN (SELECT "shop" FROM "Session" LIMIT 1)
+        ELSE ''
+    END,
+    "productId",
+    "viewCount",
+    "lastViewedAt",
+    "createdAt"
+FROM "product_analytics";
+
+DROP TABLE "product_analytics";
+ALTER TABLE "new_product_analytics" RENAME TO "product_analytics";
+CREATE INDEX "product_analytics_shop_viewCount_idx" ON "product_analytics"("shop", "viewCount");
+CREATE UNIQUE INDEX "product_analytics_shop_productId_key" ON "product_analytics"("shop", "productId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
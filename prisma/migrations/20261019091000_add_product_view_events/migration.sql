@@ -0,0 +1,15 @@
+-- CreateTable
+-- Views recorded before this migration only exist as totals in
+-- "product_analytics"; per-period figures start from the first logged event.
+CREATE TABLE "product_view_events" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "viewedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "product_view_events_shop_viewedAt_idx" ON "product_view_events"("shop", "viewedAt");
+
+-- CreateIndex
+CREATE INDEX "product_view_events_shop_productId_viewedAt_idx" ON "product_view_events"("shop", "productId", "viewedAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "product_view_events" ADD COLUMN "variantId" TEXT;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "product_view_events" ADD COLUMN "clientEventId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_view_events_shop_clientEventId_key" ON "product_view_events"("shop", "clientEventId");
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "filtered_view_stats" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "date" DATETIME NOT NULL,
+    "reason" TEXT NOT NULL,
+    "viewCount" INTEGER NOT NULL DEFAULT 0
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "filtered_view_stats_shop_date_reason_key" ON "filtered_view_stats"("shop", "date", "reason");
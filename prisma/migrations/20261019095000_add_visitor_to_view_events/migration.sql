@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "product_view_events" ADD COLUMN "visitorId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "product_view_events_shop_visitorId_idx" ON "product_view_events"("shop", "visitorId");
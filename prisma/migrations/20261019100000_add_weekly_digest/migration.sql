@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "digest_schedules" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "recipients" TEXT NOT NULL DEFAULT '',
+    "dayOfWeek" INTEGER NOT NULL DEFAULT 1,
+    "hour" INTEGER NOT NULL DEFAULT 8,
+    "nextRunAt" DATETIME,
+    "lastSentAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "digest_deliveries" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "periodStart" DATETIME NOT NULL,
+    "periodEnd" DATETIME NOT NULL,
+    "recipients" TEXT NOT NULL,
+    "transport" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "messageId" TEXT,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "digest_schedules_shop_key" ON "digest_schedules"("shop");
+
+-- CreateIndex
+CREATE INDEX "digest_schedules_enabled_nextRunAt_idx" ON "digest_schedules"("enabled", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "digest_deliveries_shop_createdAt_idx" ON "digest_deliveries"("shop", "createdAt");
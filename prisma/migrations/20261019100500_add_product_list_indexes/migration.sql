@@ -0,0 +1,7 @@
+-- CreateIndex
+-- Sorts of the Product Views table. IF NOT EXISTS because databases migrated
+-- before this one was added got the lastViewedAt index from add_metafield_sync.
+CREATE INDEX IF NOT EXISTS "product_analytics_shop_lastViewedAt_idx" ON "product_analytics"("shop", "lastViewedAt");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "product_analytics_shop_createdAt_idx" ON "product_analytics"("shop", "createdAt");
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "product_order_events" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "lineItemId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "orderedAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_order_events_shop_orderId_lineItemId_key" ON "product_order_events"("shop", "orderId", "lineItemId");
+
+-- CreateIndex
+CREATE INDEX "product_order_events_shop_orderedAt_idx" ON "product_order_events"("shop", "orderedAt");
+
+-- CreateIndex
+CREATE INDEX "product_order_events_shop_productId_orderedAt_idx" ON "product_order_events"("shop", "productId", "orderedAt");
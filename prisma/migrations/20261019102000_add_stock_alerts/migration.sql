@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "shop_settings" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "stockAlertsEnabled" BOOLEAN NOT NULL DEFAULT true,
+    "stockAlertThreshold" REAL NOT NULL DEFAULT 5,
+    "stockAlertWindowDays" INTEGER NOT NULL DEFAULT 7,
+    "stockAlertsCheckedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "stock_alerts" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "views" INTEGER NOT NULL,
+    "inventory" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "resolvedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shop_settings_shop_key" ON "shop_settings"("shop");
+
+-- CreateIndex
+CREATE INDEX "stock_alerts_shop_resolvedAt_idx" ON "stock_alerts"("shop", "resolvedAt");
+
+-- CreateIndex
+CREATE INDEX "stock_alerts_shop_createdAt_idx" ON "stock_alerts"("shop", "createdAt");
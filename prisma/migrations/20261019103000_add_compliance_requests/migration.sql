@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "product_view_events" ADD COLUMN "customerId" TEXT;
+
+-- AlterTable
+ALTER TABLE "product_order_events" ADD COLUMN "customerId" TEXT;
+
+-- CreateTable
+CREATE TABLE "compliance_requests" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "customerId" TEXT,
+    "orderIds" TEXT NOT NULL DEFAULT '',
+    "status" TEXT NOT NULL,
+    "result" TEXT,
+    "error" TEXT,
+    "receivedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "fulfilledAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "product_view_events_shop_customerId_idx" ON "product_view_events"("shop", "customerId");
+
+-- CreateIndex
+CREATE INDEX "product_order_events_shop_customerId_idx" ON "product_order_events"("shop", "customerId");
+
+-- CreateIndex
+CREATE INDEX "compliance_requests_shop_receivedAt_idx" ON "compliance_requests"("shop", "receivedAt");
+
+-- CreateIndex
+CREATE INDEX "compliance_requests_shop_customerId_idx" ON "compliance_requests"("shop", "customerId");
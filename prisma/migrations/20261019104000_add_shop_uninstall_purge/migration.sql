@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "shop_uninstalls" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "uninstalledAt" DATETIME NOT NULL,
+    "purgeAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "shop_purges" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "uninstalledAt" DATETIME NOT NULL,
+    "purgedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "deleted" TEXT NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shop_uninstalls_shop_key" ON "shop_uninstalls"("shop");
+
+-- CreateIndex
+CREATE INDEX "shop_uninstalls_purgeAt_idx" ON "shop_uninstalls"("purgeAt");
+
+-- CreateIndex
+CREATE INDEX "shop_purges_shop_idx" ON "shop_purges"("shop");
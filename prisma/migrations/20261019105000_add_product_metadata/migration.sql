@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "product_metadata" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "title" TEXT,
+    "handle" TEXT,
+    "status" TEXT,
+    "vendor" TEXT,
+    "productType" TEXT,
+    "imageUrl" TEXT,
+    "imageAlt" TEXT,
+    "shopifyUpdatedAt" DATETIME,
+    "archivedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_metadata_shop_productId_key" ON "product_metadata"("shop", "productId");
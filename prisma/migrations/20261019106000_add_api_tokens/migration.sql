@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "api_tokens" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "tokenPrefix" TEXT NOT NULL,
+    "rateLimitPerMinute" INTEGER NOT NULL DEFAULT 60,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" DATETIME,
+    "revokedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_tokens_tokenHash_key" ON "api_tokens"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "api_tokens_shop_idx" ON "api_tokens"("shop");
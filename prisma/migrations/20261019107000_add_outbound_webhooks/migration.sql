@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "webhook_rules" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "threshold" REAL NOT NULL,
+    "minViews" INTEGER NOT NULL DEFAULT 0,
+    "endpointUrl" TEXT NOT NULL,
+    "secret" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "webhook_deliveries" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "ruleId" INTEGER NOT NULL,
+    "productId" TEXT NOT NULL,
+    "eventKey" TEXT NOT NULL,
+    "payload" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" DATETIME,
+    "lastAttemptAt" DATETIME,
+    "responseStatus" INTEGER,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "deliveredAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "webhook_rules_shop_idx" ON "webhook_rules"("shop");
+
+-- CreateIndex
+CREATE INDEX "webhook_deliveries_shop_createdAt_idx" ON "webhook_deliveries"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "webhook_deliveries_status_nextAttemptAt_idx" ON "webhook_deliveries"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "webhook_deliveries_ruleId_productId_eventKey_key" ON "webhook_deliveries"("ruleId", "productId", "eventKey");
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "product_analytics" ADD COLUMN "metafieldViews" INTEGER;
+ALTER TABLE "product_analytics" ADD COLUMN "metafieldRecentViews" INTEGER;
+ALTER TABLE "product_analytics" ADD COLUMN "metafieldsSyncedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "metafield_sync_states" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "lastRunAt" DATETIME,
+    "lastSuccessAt" DATETIME,
+    "productsSynced" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT
+);
+
+-- CreateIndex
+-- Already created by add_product_list_indexes on new databases
+CREATE INDEX IF NOT EXISTS "product_analytics_shop_lastViewedAt_idx" ON "product_analytics"("shop", "lastViewedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "metafield_sync_states_shop_key" ON "metafield_sync_states"("shop");
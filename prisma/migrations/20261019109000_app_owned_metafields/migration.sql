@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "metafield_sync_states" ADD COLUMN "definitionsCreatedAt" DATETIME;
+
+-- Counts move to the app-owned namespace, so every product is written again
+UPDATE "product_analytics" SET "metafieldViews" = NULL, "metafieldRecentViews" = NULL, "metafieldsSyncedAt" = NULL;
+UPDATE "metafield_sync_states" SET "lastRunAt" = NULL;
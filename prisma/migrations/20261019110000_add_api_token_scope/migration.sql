@@ -0,0 +1,3 @@
+-- AlterTable
+-- Existing tokens keep the read scope; view importers need a new ingest token
+ALTER TABLE "api_tokens" ADD COLUMN "scope" TEXT NOT NULL DEFAULT 'read';
@@ -0,0 +1,80 @@
+// Local endpoint for testing outbound webhook rules. Create a rule pointing
+// at http://localhost:3999/ and run:
+//
+//   WEBHOOK_SECRET=<rule secret> npm run webhook-receiver
+//
+// Each delivery is logged with whether its signature checks out and is
+// recent enough. Set
+// RECEIVER_STATUS (e.g. 500) to answer with an error and watch the app
+// retry the delivery.
+import crypto from "node:crypto";
+import http from "node:http";
+
+const port = Number(process.env.PORT) || 3999;
+const secret = process.env.WEBHOOK_SECRET || "";
+const status = Number(process.env.RECEIVER_STATUS) || 200;
+
+// Deliveries signed longer ago than this are treated as replays
+const MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Check a body against the signature and timestamp headers the app sends
+ * @param {Buffer} body - Raw request body
+ * @param {string} timestamp - X-Analytics-Timestamp header
+ * @param {string} signature - X-Analytics-Hmac-Sha256 header
+ * @returns {boolean} Whether the signature matches and is recent
+ */
+function isValidSignature(body, timestamp, signature) {
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_AGE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.`)
+      .update(body)
+      .digest("base64")
+  );
+  const received = Buffer.from(signature || "");
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+const server = http.createServer((request, response) => {
+  const chunks = [];
+  request.on("data", (chunk) => chunks.push(chunk));
+  request.on("end", () => {
+    const body = Buffer.concat(chunks);
+    const verified = secret
+      ? isValidSignature(
+          body,
+          request.headers["x-analytics-timestamp"],
+          request.headers["x-analytics-hmac-sha256"]
+        )
+      : null;
+
+    console.log(
+      `${new Date().toISOString()} ${request.method} ${request.url}`,
+      `event=${request.headers["x-analytics-event"]}`,
+      `delivery=${request.headers["x-analytics-delivery-id"]}`,
+      verified === null
+        ? "signature=unchecked (set WEBHOOK_SECRET)"
+        : `signature=${verified ? "valid" : "INVALID"}`
+    );
+    try {
+      console.log(JSON.stringify(JSON.parse(body.toString()), null, 2));
+    } catch {
+      console.log(body.toString());
+    }
+
+    response.writeHead(verified === false ? 401 : status);
+    response.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});